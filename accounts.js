@@ -0,0 +1,62 @@
+// accounts.js — named bankrolls for betd
+//
+// `main` is poly-state.json; every other account is accounts/<name>.json with its own ledger and lock, in the
+// same state.js format. So each account keeps its own bankroll, odds band, strategy, risk limits, model,
+// watchlist, autopilot, positions and results. betd opens (and locks) each one as its writer.
+
+const fs = require('fs');
+const path = require('path');
+const { STATE_PATH, nowIso, freshState, openState, saveState, loadState } = require('./state');
+const { validateStrategy } = require('./staking-policy');
+const { validateLimits } = require('./risk');
+
+const ACCOUNTS_DIR = path.join(__dirname, 'accounts');
+const DEFAULT_ACCOUNT = 'main';
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const names = new WeakMap(); // opened state -> account name
+
+function accountPath(name) { return name === DEFAULT_ACCOUNT ? STATE_PATH : path.join(ACCOUNTS_DIR, `${name}.json`); }
+
+function listAccounts() {
+  let files = [];
+  try { files = fs.readdirSync(ACCOUNTS_DIR); } catch {}
+  const more = files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).filter(n => NAME_RE.test(n) && n !== DEFAULT_ACCOUNT);
+  return [DEFAULT_ACCOUNT, ...more.sort()];
+}
+
+/** The writer's state for `name`, opened on first use; null for an unknown account. */
+function accountState(name = DEFAULT_ACCOUNT) {
+  if (!listAccounts().includes(name)) return null;
+  const s = openState(accountPath(name));
+  names.set(s, name);
+  return s;
+}
+const accountOf = (state) => names.get(state) || DEFAULT_ACCOUNT;
+
+/** Read-only state for `name` (no lock), e.g. for the CLIs; null for an unknown account. */
+function readAccount(name = DEFAULT_ACCOUNT) { return listAccounts().includes(name) ? loadState(accountPath(name)) : null; }
+
+/**
+ * New account from { name, bankroll, strategy?: { name, config }, oddsBand?: { min, max }, limits? }.
+ * @returns { name, state } or { error }
+ */
+function createAccount(body = {}) {
+  const name = String(body.name || '').toLowerCase();
+  if (!NAME_RE.test(name)) return { error: 'name must be 1-32 of a-z, 0-9, _ and -, starting with a letter or digit' };
+  if (listAccounts().includes(name)) return { error: `Account "${name}" already exists` };
+  const bankroll = Number(body.bankroll);
+  if (!(bankroll > 0)) return { error: 'bankroll must be > 0' };
+  const strategy = validateStrategy(body.strategy?.name || 'kelly', body.strategy?.config || {});
+  if (strategy.error) return strategy;
+  const band = body.oddsBand || freshState().oddsBand;
+  const min = Number(band.min), max = Number(band.max);
+  if (!(min >= 1.01 && max > min)) return { error: 'Bad odds band. Use numbers like {min:1.4,max:3.0}' };
+  const risk = validateLimits({}, body.limits || {});
+  if (risk.error) return risk;
+  fs.mkdirSync(ACCOUNTS_DIR, { recursive: true });
+  saveState(freshState({ bankroll, highWater: bankroll, strategy, oddsBand: { min, max }, risk: { limits: risk.limits, breaker: null, ack: null }, createdAt: nowIso() }), accountPath(name));
+  return { name, state: accountState(name) };
+}
+
+module.exports = { ACCOUNTS_DIR, DEFAULT_ACCOUNT, accountPath, listAccounts, accountState, accountOf, readAccount, createAccount };
@@ -0,0 +1,106 @@
+// analytics.js — portfolio analytics over booked results: equity curve, drawdowns, ROI / yield, breakdowns, calibration
+//
+// Everything is read off state.results (newest first, each with a net-of-fees pnl and bankrollAfter), so corrections
+// and fees are already in. Voids count as bets but not as stake, wins or calibration samples: the stake came back.
+// 50/50 resolutions (H) count as stake but not as wins or calibration samples.
+//   ROI    pnl / bankroll before the first bet in range       yield  pnl / stake on W/L bets
+// Breakdowns are by category (the result's, else markets.json's), decimal-odds bucket and side. Calibration buckets
+// bets by the probability their price implied (1 / odds) and sets the realized win rate beside it.
+
+const { readMarkets } = require('./markets');
+
+const ODDS_BUCKETS = [1, 1.5, 2, 2.5, 3, 5, Infinity];
+const PROB_STEP = 0.1;
+const DAY_MS = 86400000;
+
+const r2 = (n) => Number(n.toFixed(2));
+const r4 = (n) => Number(n.toFixed(4));
+const tsOf = (r) => r.settledAt || r.ts;
+
+function oddsBucket(odds) {
+  const i = ODDS_BUCKETS.findIndex((b, k) => odds >= b && odds < ODDS_BUCKETS[k + 1]);
+  const lo = ODDS_BUCKETS[Math.max(0, i)], hi = ODDS_BUCKETS[Math.max(0, i) + 1];
+  return hi === Infinity ? `${lo}+` : `${lo}-${hi}`;
+}
+
+/** W/L/V/H counts, stake, pnl, fees, ROI (against `start`), yield and win rate for a set of results. */
+function summarize(rs, start) {
+  const wins = rs.filter(r => r.result === 'W').length, losses = rs.filter(r => r.result === 'L').length;
+  const staked = rs.filter(r => r.result !== 'V').reduce((a, r) => a + (Number(r.stake) || 0), 0);
+  const pnl = rs.reduce((a, r) => a + (Number(r.pnl) || 0), 0), fees = rs.reduce((a, r) => a + (Number(r.fee) || 0), 0);
+  return { bets: rs.length, wins, losses, voids: rs.filter(r => r.result === 'V').length, splits: rs.filter(r => r.result === 'H').length, staked: r2(staked), pnl: r2(pnl), fees: r2(fees),
+           roi: start > 0 ? r4(pnl / start) : 0, yield: staked > 0 ? r4(pnl / staked) : 0, winRate: wins + losses ? r4(wins / (wins + losses)) : 0 };
+}
+
+// rows by key, busiest first unless `order` sorts them
+function breakdown(rs, keyOf, start, order = (a, b) => b.bets - a.bets || a.key.localeCompare(b.key)) {
+  const groups = new Map();
+  for (const r of rs) { const k = keyOf(r); if (!groups.has(k)) groups.set(k, []); groups.get(k).push(r); }
+  return [...groups].map(([key, g]) => ({ key, ...summarize(g, start) })).sort(order);
+}
+
+/**
+ * Drawdown from the running peak at every equity point, the deepest one, and the longest spell below a peak
+ * (peak -> recovery, or -> the last point while still under water).
+ */
+function drawdowns(equity) {
+  let peak = null, longest = null;
+  const series = [];
+  const spell = (p, to, recovered) => ({ days: r2((Date.parse(to.ts) - Date.parse(p.ts)) / DAY_MS), bets: to.i - p.i, from: p.ts, to: to.ts, recovered });
+  equity.forEach((e, i) => {
+    const pt = { ...e, i };
+    if (!peak || e.bankroll >= peak.bankroll) {
+      if (peak && i - peak.i > 1) { const s = spell(peak, pt, true); if (!longest || s.days > longest.days) longest = s; }
+      peak = pt;
+    }
+    series.push({ ts: e.ts, pct: peak.bankroll > 0 ? r4((peak.bankroll - e.bankroll) / peak.bankroll) : 0 });
+  });
+  const last = equity.length ? { ...equity.at(-1), i: equity.length - 1 } : null;
+  if (last && last.bankroll < peak.bankroll) { const s = spell(peak, last, false); if (!longest || s.days > longest.days) longest = s; }
+  const deepest = series.reduce((m, p) => p.pct > m.pct ? p : m, { ts: null, pct: 0 });
+  return { series, max: deepest.pct, maxAt: deepest.ts, maxDuration: longest, current: series.at(-1)?.pct || 0 };
+}
+
+/** Implied probability (1 / odds) buckets: average implied vs realized win rate over W/L bets. */
+function calibration(rs) {
+  const rows = new Map();
+  for (const r of rs) {
+    if (!['W', 'L'].includes(r.result) || !(r.odds > 1)) continue;
+    const p = 1 / r.odds, k = Math.min(Math.floor(p / PROB_STEP), Math.round(1 / PROB_STEP) - 1);
+    const row = rows.get(k) || { k, n: 0, implied: 0, wins: 0 };
+    row.n++; row.implied += p; row.wins += r.result === 'W' ? 1 : 0;
+    rows.set(k, row);
+  }
+  return [...rows.values()].sort((a, b) => a.k - b.k).map(x => {
+    const implied = x.implied / x.n, realized = x.wins / x.n;
+    return { bucket: `${Math.round(x.k * PROB_STEP * 100)}-${Math.round((x.k + 1) * PROB_STEP * 100)}%`, bets: x.n,
+             implied: r4(implied), realized: r4(realized), diff: r4(realized - implied) };
+  });
+}
+
+/**
+ * Analytics over `state.results` settled in [since, until] (ISO, both optional).
+ * @returns { since, until, start, end, ...summary, equity: [{ ts, bankroll, pnl, id }], drawdown: { series, max, maxAt,
+ *            maxDuration: { days, bets, from, to, recovered } | null, current }, byCategory, byOdds, bySide, calibration }
+ */
+function analyze(state, { since, until, markets = readMarkets() } = {}) {
+  const from = since ? Date.parse(since) : -Infinity, to = until ? Date.parse(until) : Infinity;
+  if (Number.isNaN(from) || Number.isNaN(to)) return { error: 'since/until must be ISO dates' };
+  const rs = (state.results || []).filter(r => { const t = Date.parse(tsOf(r)); return t >= from && t <= to; }).reverse();
+  const first = rs[0];
+  const start = first ? r2(first.bankrollAfter - first.pnl) : state.bankroll;
+  const equity = first ? [{ ts: tsOf(first), bankroll: start, pnl: 0, id: null }, ...rs.map(r => ({ ts: tsOf(r), bankroll: r.bankrollAfter, pnl: r.pnl, id: r.id }))] : [];
+  const cats = new Map(markets.map(m => [String(m.id), m.category]));
+  const category = (r) => r.category || cats.get(String(r.marketId)) || (r.marketId ? 'Other' : 'unlinked');
+  return {
+    since: since || (first ? tsOf(first) : null), until: until || (rs.length ? tsOf(rs.at(-1)) : null),
+    start, end: rs.length ? rs.at(-1).bankrollAfter : state.bankroll, ...summarize(rs, start),
+    equity, drawdown: drawdowns(equity),
+    byCategory: breakdown(rs, category, start),
+    byOdds: breakdown(rs, r => oddsBucket(Number(r.odds)), start, (a, b) => parseFloat(a.key) - parseFloat(b.key)),
+    bySide: breakdown(rs, r => r.side || 'unlinked', start),
+    calibration: calibration(rs)
+  };
+}
+
+module.exports = { ODDS_BUCKETS, oddsBucket, summarize, drawdowns, calibration, analyze };
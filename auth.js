@@ -0,0 +1,67 @@
+// auth.js — API tokens, scopes and CORS for betd
+//
+//   BETD_ADMIN_TOKEN   comma list; required for every mutating route (POST/DELETE). Unset: mutations are only
+//                      accepted from loopback, so a fresh local setup keeps working but the LAN can't write.
+//   BETD_READ_TOKEN    comma list; when set, reads (GET) need a read or admin token. Unset: reads are open.
+//   BETD_CORS_ORIGINS  comma list of origins allowed cross-origin (`*` for any). Unset: same-origin only (/ui).
+//
+// Tokens go in `Authorization: Bearer <token>`, or `?token=` where headers can't be set (EventSource).
+
+const crypto = require('crypto');
+
+const list = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+const ADMIN = list(process.env.BETD_ADMIN_TOKEN);
+const READ = list(process.env.BETD_READ_TOKEN);
+const ORIGINS = list(process.env.BETD_CORS_ORIGINS);
+const OPEN_PATHS = new Set(['/ui', '/health']); // the dashboard page itself carries no data
+
+function same(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+function tokenOf(req, url) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return m ? m[1].trim() : url.searchParams.get('token');
+}
+const isLoopback = (req) => ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+
+/** Scope a request gets: 'admin' | 'read' | null (no/unknown token). */
+function scopeOf(req, url) {
+  const t = tokenOf(req, url);
+  if (t && ADMIN.some(a => same(a, t))) return 'admin';
+  if (t && READ.some(r => same(r, t))) return 'read';
+  return null;
+}
+
+/**
+ * Check a request against the route's need (GET/OPTIONS read, everything else admin).
+ * @returns { scope } or { status: 401|403, error }
+ */
+function authorize(req, url) {
+  if (req.method === 'OPTIONS' || OPEN_PATHS.has(url.pathname)) return { scope: 'public' };
+  const scope = scopeOf(req, url);
+  const write = req.method !== 'GET';
+  if (scope === 'admin') return { scope };
+  if (!write) {
+    if (scope === 'read' || !READ.length) return { scope: scope || 'public' };
+    return { status: 401, error: 'A read or admin token is required (Authorization: Bearer …)' };
+  }
+  if (!ADMIN.length && isLoopback(req)) return { scope: 'local' };
+  if (scope === 'read') return { status: 403, error: 'This token is read-only' };
+  return { status: 401, error: ADMIN.length ? 'An admin token is required (Authorization: Bearer …)' : 'Writes are only accepted from localhost until BETD_ADMIN_TOKEN is set' };
+}
+
+/** CORS headers for this request's Origin (none when it isn't allowed). */
+function corsHeaders(req) {
+  const o = req.headers.origin;
+  if (!o || !(ORIGINS.includes('*') || ORIGINS.includes(o))) return {};
+  return { 'Access-Control-Allow-Origin': ORIGINS.includes('*') ? '*' : o, Vary: 'Origin',
+           'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type,Authorization,Last-Event-ID' };
+}
+
+/** One startup line on how betd is exposed. */
+function describeAuth() {
+  return `auth: admin ${ADMIN.length ? `${ADMIN.length} token(s)` : 'localhost only'}, read ${READ.length ? `${READ.length} token(s)` : 'open'}, CORS ${ORIGINS.length ? ORIGINS.join(' ') : 'same-origin'}`;
+}
+
+module.exports = { authorize, scopeOf, corsHeaders, describeAuth };
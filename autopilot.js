@@ -0,0 +1,85 @@
+// autopilot.js — rule-based candidate selection for betd's autopilot (state.autopilot = { mode, filters, lastRun })
+//
+// Modes: off | dryrun (decide and log, never plan or execute) | on (execute through the broker).
+// After each markets refresh betd takes search() hits inside state.oddsBand, keeps the ones passing these
+// filters, prices them with the active model and bets the best edges, at most maxBetsPerRun per refresh.
+// Sizing, pause, breakers and per-order risk limits are the same ones a manual /plan + /go goes through.
+
+const { search, makeQueryRegex, textOf } = require('./polymarket-scraper');
+const { readMarkets, findMarket } = require('./markets');
+
+const MODES = ['off', 'dryrun', 'on'];
+const FILTERS = {
+  minLiquidity:      { type: 'number', default: 1000, min: 0 },
+  minHoursToClose:   { type: 'number', default: 2, min: 0 },          // skip markets about to close…
+  maxHoursToClose:   { type: 'number', default: 24 * 30, min: 0 },    // …or resolving too far out (no endDate passes)
+  minEdge:           { type: 'number', default: 0.01, min: 0, max: 1 }, // model edge over the entry price
+  maxBetsPerRun:     { type: 'integer', default: 1, min: 0, max: 20 },
+  categories:        { type: 'list', default: [] },                    // only these (empty = any)
+  excludeCategories: { type: 'list', default: [] },
+  query:             { type: 'string', default: '' }                   // search() keyword, e.g. "btc"
+};
+const SEARCH_LIMIT = 200;
+
+function defaultFilters() { return Object.fromEntries(Object.entries(FILTERS).map(([k, f]) => [k, Array.isArray(f.default) ? [...f.default] : f.default])); }
+
+const toList = (v) => (Array.isArray(v) ? v : String(v ?? '').split(',')).map(x => String(x).trim()).filter(Boolean);
+
+/** Merge + check filter overrides. Returns { filters } or { error }. */
+function validateFilters(current = {}, patch = {}) {
+  const out = { ...defaultFilters(), ...current };
+  for (const [k, v] of Object.entries(patch || {})) {
+    const f = FILTERS[k];
+    if (!f) return { error: `Unknown autopilot filter "${k}". Options: ${Object.keys(FILTERS).join(', ')}` };
+    if (f.type === 'list') { out[k] = toList(v); continue; }
+    if (f.type === 'string') { out[k] = String(v ?? ''); continue; }
+    const n = Number(v);
+    if (!Number.isFinite(n) || (f.type === 'integer' && !Number.isInteger(n))) return { error: `${k} must be ${f.type === 'integer' ? 'an integer' : 'a number'}` };
+    if (n < f.min || n > f.max) return { error: `${k} must be within [${f.min}, ${f.max ?? '∞'}]` };
+    out[k] = n;
+  }
+  if (out.maxHoursToClose < out.minHoursToClose) return { error: 'maxHoursToClose must be ≥ minHoursToClose' };
+  return { filters: out };
+}
+
+function autopilotState(state) {
+  const ap = state.autopilot = state.autopilot || {};
+  if (!MODES.includes(ap.mode)) ap.mode = 'off';
+  ap.filters = validateFilters(ap.filters).filters || defaultFilters();
+  ap.lastRun = ap.lastRun || null;
+  return ap;
+}
+
+/** Which filter a market fails (liquidity | category | excluded | closes-soon | closes-late), null when it passes. */
+function rejectReason(m, f, now = Date.now()) {
+  if ((Number(m.liquidity) || 0) < f.minLiquidity) return 'liquidity';
+  const cat = String(m.category || '').toLowerCase();
+  if (f.categories.length && !f.categories.some(c => c.toLowerCase() === cat)) return 'category';
+  if (f.excludeCategories.some(c => c.toLowerCase() === cat)) return 'excluded';
+  const h = (Date.parse(m.endDate) - now) / 3600000;
+  if (h < f.minHoursToClose) return 'closes-soon';
+  if (h > f.maxHoursToClose) return 'closes-late';
+  return null;
+}
+
+/**
+ * search() hits inside the odds band that pass the filters, skipping markets we already hold.
+ * @returns { candidates: [{ marketId, outcome, side, odds, liquidity, title }], rejected: { reason: count } }
+ *   (reasons: gone | held | query | plus rejectReason's)
+ */
+function candidates(state, { markets = readMarkets(), now = Date.now() } = {}) {
+  const f = autopilotState(state).filters;
+  const held = new Set(state.positions.map(p => String(p.marketId)));
+  const re = makeQueryRegex(f.query); // search() falls back to unrelated markets when nothing matches
+  const rejected = {};
+  const out = [];
+  for (const c of search({ q: f.query, minOdds: state.oddsBand.min, maxOdds: state.oddsBand.max, limit: SEARCH_LIMIT })) {
+    const m = findMarket(c.marketId, markets);
+    const why = !m ? 'gone' : held.has(String(m.id)) ? 'held' : re && !re.test(textOf(m)) ? 'query' : rejectReason(m, f, now);
+    if (why) { rejected[why] = (rejected[why] || 0) + 1; continue; }
+    out.push({ marketId: String(m.id), outcome: c.outcome, side: c.side, odds: c.odds, liquidity: c.liquidity, title: c.title });
+  }
+  return { candidates: out, rejected };
+}
+
+module.exports = { MODES, FILTERS, SEARCH_LIMIT, defaultFilters, validateFilters, autopilotState, rejectReason, candidates };
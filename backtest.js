@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// backtest.js — replay a bet sequence through staking strategies and compare the outcomes
+//
+//   node backtest.js [--from state|csv|snapshots] [--csv bets.csv] [--bankroll 100]
+//                    [--strategy kelly] [--strategy kelly:hotBoost=1,coldCut=1] [--strategy active]
+//                    [--band 1.8-2.2] [--paths 500] [--ruin 0.5] [--seed 1] [--json]
+//
+// Bet sources (oldest first, each { ts, odds, result W|L|V|H, edge? }):
+//   state      poly-state.json results (default)
+//   csv        header row with at least odds,result (optional ts, edge, marketId)
+//   snapshots  first recorded price inside the odds band for every market markets.json shows resolved
+// Every --strategy runs on the same sequence from the same bankroll; with none given, all registry
+// strategies run at their defaults. Risk-of-ruin bootstraps the sequence (--paths resamples) and counts
+// paths that ever fall to --ruin x the starting bankroll.
+
+const fs = require('fs');
+const { RESULTS, loadState, freshState, bookResult } = require('./state');
+const { STRATEGIES, planStake, validateStrategy } = require('./staking-policy');
+const { readMarkets, marketResolution } = require('./markets');
+const { readStore } = require('./history');
+
+function parseArgs(argv) {
+  const a = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const x = argv[i];
+    if (!x.startsWith('--')) { a._.push(x); continue; }
+    const k = x.slice(2);
+    const v = (i + 1 < argv.length && !argv[i + 1].startsWith('--')) ? argv[++i] : true;
+    a[k] = a[k] === undefined ? v : [].concat(a[k], v);
+  }
+  return a;
+}
+
+// ----- bet sources -----
+function betsFromState(state = loadState()) {
+  return (state.results || []).slice().reverse()
+    .filter(r => Number(r.odds) > 1 && RESULTS.includes(r.result))
+    .map(r => ({ ts: r.ts, odds: Number(r.odds), result: r.result, marketId: r.marketId || null }));
+}
+
+function betsFromCsv(file) {
+  const [head, ...rows] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(l => l.trim());
+  const cols = head.split(',').map(c => c.trim().toLowerCase());
+  if (!cols.includes('odds') || !cols.includes('result')) throw new Error(`${file}: header needs odds,result`);
+  return rows.map((line, i) => {
+    const r = Object.fromEntries(line.split(',').map((v, j) => [cols[j], v.trim()]));
+    const res = String(r.result).toUpperCase()[0];
+    const odds = Number(r.odds);
+    if (!(odds > 1) || !RESULTS.includes(res)) throw new Error(`${file}:${i + 2}: bad row "${line}"`);
+    return { ts: r.ts || null, odds, result: res, edge: r.edge !== undefined && r.edge !== '' ? Number(r.edge) : undefined, marketId: r.marketid || null };
+  });
+}
+
+function betsFromSnapshots({ band, markets = readMarkets(), store = readStore() } = {}) {
+  const bets = [];
+  for (const m of markets) {
+    const res = marketResolution(m);
+    const series = store.markets[String(m.id)];
+    if (!res || !series) continue;
+    const entry = series.find(([, , , ask]) => ask > 0 && ask < 1 && 1 / ask >= band.min && 1 / ask <= band.max);
+    if (!entry) continue;
+    const [ts, outcome, , ask] = entry;
+    bets.push({ ts, odds: Number((1 / ask).toFixed(3)), result: res.split ? 'H' : res.winner === outcome ? 'W' : 'L', marketId: String(m.id) });
+  }
+  return bets.sort((x, y) => String(x.ts).localeCompare(String(y.ts)));
+}
+
+// ----- replay -----
+/** "kelly" | "kelly:hotBoost=1,coldCut=1" | "active" -> { label, name, config } or { error } */
+function parseStrategySpec(spec, state) {
+  if (spec === 'active') return { label: `active(${state.strategy.name})`, ...validateStrategy(state.strategy.name, state.strategy.config) };
+  const [name, rest] = String(spec).split(':');
+  const config = Object.fromEntries((rest ? rest.split(',') : []).map(p => p.split('=')).filter(p => p.length === 2));
+  const v = validateStrategy(name, config);
+  return v.error ? v : { label: spec, ...v };
+}
+
+/** Run one strategy over `bets`; returns per-bet equity and the bets it actually staked. */
+function replay(bets, strategy, bankroll) {
+  const sim = freshState({ bankroll, highWater: bankroll, strategy: { name: strategy.name, config: strategy.config } });
+  const equity = [bankroll], returns = [], staked = [];
+  for (const b of bets) {
+    const before = sim.bankroll;
+    const p = planStake(sim, { odds: b.odds, edge: b.edge });
+    const stake = Math.min(p.stake || 0, before);
+    if (p.paused || !(stake > 0)) { equity.push(before); continue; }
+    const e = bookResult(sim, null, b.result, { odds: b.odds, stake, settledBy: 'backtest', source: 'backtest' });
+    staked.push(stake);
+    returns.push(before > 0 ? e.pnl / before : 0);
+    equity.push(sim.bankroll);
+  }
+  return { equity, returns, staked, state: sim };
+}
+
+function maxDrawdown(equity) {
+  let peak = equity[0], dd = 0;
+  for (const x of equity) { if (x > peak) peak = x; if (peak > 0) dd = Math.max(dd, (peak - x) / peak); }
+  return dd;
+}
+
+// small seeded PRNG so risk-of-ruin is reproducible run to run
+function rng(seed) {
+  let s = seed >>> 0 || 1;
+  return () => { s ^= s << 13; s >>>= 0; s ^= s >>> 17; s ^= s << 5; s >>>= 0; return s / 4294967296; };
+}
+function riskOfRuin(bets, strategy, bankroll, { paths, ruin, seed }) {
+  if (!bets.length || !paths) return null;
+  const rand = rng(seed);
+  let ruined = 0;
+  for (let i = 0; i < paths; i++) {
+    const sample = bets.map(() => bets[Math.floor(rand() * bets.length)]);
+    if (Math.min(...replay(sample, strategy, bankroll).equity) <= bankroll * ruin) ruined++;
+  }
+  return ruined / paths;
+}
+
+/**
+ * Compare strategies over one bet sequence.
+ * @returns [{ label, strategy, config, bets, final, pnl, roi, staked, yield, maxDrawdown, sharpe, winRate, riskOfRuin, equity[] }]
+ */
+function backtest(bets, strategies, { bankroll = 100, paths = 500, ruin = 0.5, seed = 1 } = {}) {
+  return strategies.map(s => {
+    const r = replay(bets, s, bankroll);
+    const n = r.returns.length;
+    const mean = n ? r.returns.reduce((a, x) => a + x, 0) / n : 0;
+    const sd = n > 1 ? Math.sqrt(r.returns.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1)) : 0;
+    const totalStaked = r.staked.reduce((a, x) => a + x, 0);
+    const final = r.state.bankroll;
+    const { wins, losses } = r.state.stats;
+    return {
+      label: s.label || s.name, strategy: s.name, config: s.config, bets: n,
+      final, pnl: Number((final - bankroll).toFixed(2)), roi: (final - bankroll) / bankroll,
+      staked: Number(totalStaked.toFixed(2)), yield: totalStaked ? (final - bankroll) / totalStaked : 0,
+      maxDrawdown: maxDrawdown(r.equity),
+      sharpe: sd > 0 ? mean / sd : 0,  // per-bet mean/sd of bankroll returns
+      winRate: wins + losses ? wins / (wins + losses) : 0,
+      riskOfRuin: riskOfRuin(bets, s, bankroll, { paths, ruin, seed }),
+      equity: r.equity
+    };
+  });
+}
+
+function spark(equity, width = 24) {
+  const bars = '▁▂▃▄▅▆▇█';
+  const step = Math.max(1, Math.ceil(equity.length / width));
+  const pts = equity.filter((_, i) => i % step === 0 || i === equity.length - 1);
+  const lo = Math.min(...pts), hi = Math.max(...pts);
+  return pts.map(x => bars[hi > lo ? Math.round((x - lo) / (hi - lo) * 7) : 3]).join('');
+}
+
+function printTable(rows, { bankroll, ruin, paths }) {
+  const pc = (x) => x === null ? '—' : `${(x * 100).toFixed(1)}%`;
+  const cols = [
+    ['strategy', r => r.label], ['bets', r => r.bets], ['final', r => r.final.toFixed(2)], ['ROI', r => pc(r.roi)],
+    ['yield', r => pc(r.yield)], ['maxDD', r => pc(r.maxDrawdown)], ['sharpe', r => r.sharpe.toFixed(3)],
+    ['win%', r => pc(r.winRate)], [`ruin≤${ruin * 100}%`, r => pc(r.riskOfRuin)], ['equity', r => spark(r.equity)]
+  ];
+  const cells = [cols.map(c => c[0]), ...rows.map(r => cols.map(c => String(c[1](r))))];
+  const w = cols.map((_, i) => Math.max(...cells.map(row => row[i].length)));
+  console.log(`Start ${bankroll}  |  risk-of-ruin over ${paths} bootstrap paths`);
+  cells.forEach((row, k) => {
+    console.log(row.map((c, i) => i === 0 || i === cols.length - 1 ? c.padEnd(w[i]) : c.padStart(w[i])).join('  '));
+    if (!k) console.log(w.map(n => '-'.repeat(n)).join('  '));
+  });
+}
+
+if (require.main === module) {
+  const a = parseArgs(process.argv.slice(2));
+  const state = loadState();
+  const bankroll = Number(a.bankroll) || 100;
+  const [bmin, bmax] = a.band ? String(a.band).split('-').map(Number) : [state.oddsBand.min, state.oddsBand.max];
+  const opts = { bankroll, paths: a.paths !== undefined ? Number(a.paths) : 500, ruin: Number(a.ruin) || 0.5, seed: Number(a.seed) || 1 };
+
+  const from = a.from || (a.csv ? 'csv' : 'state');
+  let bets;
+  try {
+    if (from === 'state') bets = betsFromState(state);
+    else if (from === 'csv') { if (!a.csv || a.csv === true) throw new Error('--csv <file> is required'); bets = betsFromCsv(a.csv); }
+    else if (from === 'snapshots') bets = betsFromSnapshots({ band: { min: bmin, max: bmax } });
+    else throw new Error(`Unknown source "${from}". Options: state, csv, snapshots`);
+  } catch (e) { console.error(`❌ ${e.message}`); process.exit(1); }
+  if (!bets.length) { console.error(`❌ No bets to replay from ${from}.`); process.exit(1); }
+
+  const specs = a.strategy ? [].concat(a.strategy) : Object.keys(STRATEGIES);
+  const strategies = specs.map(x => parseStrategySpec(x, state));
+  const bad = strategies.find(s => s.error);
+  if (bad) { console.error(`❌ ${bad.error}`); process.exit(1); }
+
+  console.log(`${bets.length} bets from ${from}`);
+  const rows = backtest(bets, strategies, opts);
+  if (a.json) console.log(JSON.stringify({ source: from, bets: bets.length, ...opts, results: rows }, null, 2));
+  else printTable(rows, opts);
+}
+
+module.exports = { parseArgs, rng, betsFromState, betsFromCsv, betsFromSnapshots, parseStrategySpec, replay, maxDrawdown, backtest };
@@ -7,15 +7,36 @@ const fs = require('fs');
 const path = require('path');
 const net = require('net');
 const { execSync } = require('child_process');
-const { planStake } = require('./staking-policy');
+const { planStake, validateStrategy, describeStrategies, streakInfo } = require('./staking-policy');
+const { RESULTS, nowIso, newId, saveState, openPosition, bookResult, correctResult } = require('./state');
+const { DEFAULT_ACCOUNT, listAccounts, accountState, accountOf, createAccount } = require('./accounts');
+const { loadMarkets, readMarkets, findMarket, quoteOutcome, marketResolution, marketRef } = require('./markets');
+const { notify } = require('./notify');
+const { createBroker } = require('./broker');
+const { SNAP_PATH, marketHistory } = require('./history');
+const { simulate } = require('./simulate');
+const { scan } = require('./scanner');
+const { estimate, edgeFor, describeModels, MODELS } = require('./models');
+const { riskState, riskUsage, validateLimits, checkBreakers, checkOrder, trip, acknowledge } = require('./risk');
+const { validateExecution, executionOf, estimateFill } = require('./fills');
+const { analyze } = require('./analytics');
+const { MODES:AUTOPILOT_MODES, validateFilters, autopilotState, candidates } = require('./autopilot');
+const { authorize, corsHeaders, describeAuth } = require('./auth');
+const bus = require('./bus');
 
 const PORT = Number(process.env.BETD_PORT || 8787);
-const STATE_PATH = path.join(__dirname, 'poly-state.json');
+const HOST = process.env.BETD_HOST || '0.0.0.0';
+const OPPS_NOTIFY = process.env.OPPS_NOTIFY==='1';                 // Telegram push for newly seen opportunities
+const OPPS_NOTIFY_MIN = Number(process.env.OPPS_NOTIFY_MIN || 1);  // …worth at least this much expected profit
+const SIM_MAX_STEPS = Number(process.env.SIM_MAX_STEPS || 500000); // paths x bets per /simulate; it runs on the event loop
 const MARKETS_PATH = path.join(__dirname, 'markets.json');
-const SNAP_PATH = path.join(__dirname, 'logs', 'market_snapshots.json');
 const UI_PATH = path.join(__dirname, 'dashboard.html');
+const REFRESH_STATE_PATH = path.join(__dirname, 'logs', 'refresh-state.json');
 
-function nowIso(){ return new Date().toISOString(); }
+const BROKER = process.env.BROKER || 'paper';
+const brokers = new Map(); // account -> its own broker, so paper cash and order books never pool across accounts
+const inFlight = new Map(); // account -> stake in orders still at the broker, held off `available` until they fill
+const autopilotBusy = new Set(); // accounts with an autopilot pass under way
 
 // ----- free port -----
 async function freePort(port) {
@@ -40,40 +61,8 @@ async function freePort(port) {
 }
 
 // ----- state -----
-const DEFAULT_STATE = {
-  bankroll: 100.00,
-  highWater: 100.00,
-  paused: false,
-  pauseReason: '',
-  oddsBand: { min: 1.8, max: 2.2 },
-  planned: null,
-  results: [],
-  stats: { wins: 0, losses: 0 }
-};
-function loadState() {
-  try {
-    const s = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
-    return Object.assign({}, DEFAULT_STATE, s, {
-      oddsBand: Object.assign({}, DEFAULT_STATE.oddsBand, s.oddsBand || {})
-    });
-  } catch {
-    saveState(DEFAULT_STATE);
-    return { ...DEFAULT_STATE };
-  }
-}
-function saveState(s){ try{ fs.writeFileSync(STATE_PATH, JSON.stringify(s,null,2)); }catch(e){ console.error('[betd] saveState',e.message); } }
 function readJsonSafe(p){ try { return JSON.parse(fs.readFileSync(p,'utf8')); } catch { return null; } }
 
-function streak(results){
-  let wins=0, losses=0;
-  for (const r of results) {
-    if (r.result==='W'){ if (losses) break; wins++; }
-    else if (r.result==='L'){ if (wins) break; losses++; }
-    else break;
-  }
-  return { wins, losses };
-}
-
 // ----- intel -----
 function summarizeMarkets() {
   const m = readJsonSafe(MARKETS_PATH);
@@ -88,69 +77,529 @@ function summarizeMarkets() {
   const cats = [...byCat.entries()].sort((a,b)=>b[1]-a[1]).slice(0,10)
                .map(([k,v])=>({category:k,count:v}));
   const snap = readJsonSafe(SNAP_PATH);
+  const { rejects } = loadMarkets(MARKETS_PATH);
+  const rs = readJsonSafe(REFRESH_STATE_PATH);
   return {
     lastRefresh: m?.ts || null,
     source: m?.src || null,
+    lastCheck: rs?.checkedAt || null,
+    lastChanges: rs?.last ? { added:rs.last.added, changed:rs.last.changed, removed:rs.last.removed, complete:rs.complete } : null,
     total: items.length,
     active,
+    rejected: rejects.length,
     topCategories: cats,
     snapshots: Array.isArray(snap)? snap.slice(-10) : []
   };
 }
 
 // ----- ops -----
-function doPlan(state, odds) {
-  if (state.paused) return { paused:true, reason:state.pauseReason||'Paused', stake:0, fraction:0, appliedMultiplier:0, odds };
-  const o = Number(odds) || ((state.oddsBand.min + state.oddsBand.max)/2);
-  const plan = planStake(state.bankroll, o);
-  state.planned = { ...plan, odds:o, at: nowIso() };
+// Resolve {marketId|conditionId|slug, outcome, side} against markets.json into a priced bet.
+function resolveBet(body){
+  const id = body.marketId || body.conditionId || body.slug;
+  if (!id) return { error:'marketId (or conditionId/slug) is required' };
+  const m = findMarket(id);
+  if (!m) return { error:`Unknown market "${id}"` };
+  if (m.closed===true || m.archived===true) return { error:`Market ${m.id} is closed` };
+  const q = quoteOutcome(m, body.outcome, body.side);
+  if (q.error) return q;
+  return { bet:{ ...marketRef(m), ...q }, market:m };
+}
+// Our probability for the bet from the active (or requested) model -> edge over the entry price.
+function modelEdge(state, market, bet, name){
+  const est = estimate(name || state.model.name, market, bet.outcome, { overrides:state.model.overrides, history:marketHistory });
+  if (est.error) return { est, edge:undefined, note:`model ${est.model} n/a (${est.error}); default edge`,
+                         warning:`No model edge (${est.model}: ${est.error}); sized on the strategy's default edge` };
+  const edge = edgeFor(est, bet.side, bet.price);
+  return { est, edge, note:`model ${est.model} p=${est.prob} conf=${est.confidence} edge=${edge>=0?'+':''}${edge} ${est.notes.join(' ')}`.trim() };
+}
+// Stored price history for a market plus our bets on it, so moves can be read against entries/settles.
+function doHistory(state, id, q){
+  const m = findMarket(id);
+  const marketId = m ? String(m.id) : id;
+  const points = marketHistory(marketId, { since:q.get('since'), until:q.get('until'), outcome:q.get('outcome'), limit:Number(q.get('limit'))||0 });
+  if (!m && !points.length) return { error:`Unknown market "${id}"` };
+  const bets = [...state.positions.map(p=>({ ...p, open:true })), ...state.results]
+    .filter(b=>String(b.marketId)===marketId)
+    .map(b=>({ id:b.positionId||b.id, outcome:b.outcome, side:b.side, price:b.price, stake:b.stake, openedAt:b.openedAt||null,
+               result:b.open?null:b.result, settledAt:b.open?null:b.settledAt }));
+  return { marketId, question:m?.question||null, points, bets };
+}
+// Open stake across the positions book; this is what's at risk until settlement.
+function exposure(state){
+  const atRisk = state.positions.reduce((a,p)=>a+(Number(p.stake)||0),0), pending = inFlight.get(accountOf(state)) || 0;
+  return { open:state.positions.length, atRisk:Number(atRisk.toFixed(2)), pending:Number(pending.toFixed(2)),
+           pctOfBankroll: state.bankroll>0 ? Number((atRisk/state.bankroll*100).toFixed(2)) : 0,
+           available: Number(Math.max(0, state.bankroll-atRisk-pending).toFixed(2)) };
+}
+// The account's broker, opened on first use. Paper accounts keep their own cash (from their bankroll) and orders file;
+// on CLOB every account trades the one wallet, so placeOrder's check against the account's available bankroll is its limit.
+function brokerOf(state){
+  const acct = accountOf(state);
+  if (!brokers.has(acct)) brokers.set(acct, createBroker(BROKER, { balance:state.bankroll,
+    file: acct===DEFAULT_ACCOUNT ? undefined : path.join(__dirname, 'logs', `paper-orders-${acct}.json`) }));
+  return brokers.get(acct);
+}
+// Trip a breaker whose condition is now met; returns the tripped breaker (new or standing) or null.
+function enforceRisk(state){
+  const r = riskState(state);
+  if (r.breaker) return r.breaker;
+  const b = checkBreakers(state);
+  if (!b) return null;
+  const br = trip(state, b);
   saveState(state);
-  return { ...plan, odds:o };
+  console.warn(`[betd] breaker tripped: ${br.message}`);
+  bus.publish('breaker.tripped', br, accountOf(state));
+  return br;
+}
+function riskError(state, stake){
+  const br = enforceRisk(state);
+  if (br) return { error:`Breaker tripped: ${br.message}. Resume with ack to continue.`, breaker:br };
+  const lim = stake===undefined ? null : checkOrder(state, stake);
+  if (lim) return { error:`Risk limit: ${lim.message}`, limit:lim };
+  return null;
 }
-function doExecute(state){
+// Price + size a bet without staging it; doPlan stages it, the autopilot ranks with it.
+// Sized at the quote first, then again at what that stake really costs (book impact + fee), capped by max slippage.
+function sizeBet(state, body) {
+  const blocked = riskError(state);
+  if (blocked) return blocked;
+  if (state.paused) return { paused:true, reason:state.pauseReason||'Paused', stake:0, fraction:0, appliedMultiplier:0 };
+  body = body || {};
+  const r = resolveBet(body);
+  if (r.error) return r;
+  const { bet, market } = r;
+  if (body.model && !MODELS[body.model]) return { error:`Unknown model "${body.model}". Options: ${Object.keys(MODELS).join(', ')}` };
+  const m = modelEdge(state, market, bet, body.model);
+  if (m.edge!==undefined && m.edge<=0) return { error:`No edge: ${m.note}`, model:m.est };
+  // size off what isn't already tied up in open positions, leaving room for the fee
+  const ex = executionOf(state), bankroll = exposure(state).available/(1+ex.feeRate);
+  let edge = m.edge;
+  let plan = planStake(state, { odds:bet.odds, edge, bankroll });
+  if (plan.paused) return { error:`${plan.strategy}: ${plan.reason}`, strategy:plan.strategy };
+  let fill = estimateFill(market, bet, plan.stake, ex);
+  if (fill.effPrice > bet.price) {
+    if (edge!==undefined) edge = edgeFor(m.est, bet.side, fill.effPrice);
+    if (edge!==undefined && edge<=0) return { error:`No edge after costs: ${fill.note}; ${m.note}`, model:m.est, fill };
+    plan = planStake(state, { odds:fill.odds, edge, bankroll });
+    if (plan.paused) return { error:`${plan.strategy}: ${plan.reason}`, strategy:plan.strategy };
+    fill = estimateFill(market, bet, plan.stake, ex);
+  }
+  if (plan.stake>0 && !(fill.stake>0)) return { error:`No depth within ${ex.maxSlippage*100}% of ${bet.price}`, fill };
+  plan.stake = fill.stake; plan.fraction = bankroll>0 ? fill.stake/bankroll : 0;
+  plan.notes = [m.note, ...plan.notes, fill.note];
+  const { note:_n, ...costs } = fill;
+  bet.fill = costs; bet.fee = fill.fee;
+  bet.limitPrice = fill.worstPrice ?? bet.price;
+  bet.model = m.est.error ? null : { name:m.est.model, prob:m.est.prob, confidence:m.est.confidence, edge, quoteEdge:m.edge };
+  if (m.warning) { bet.modelless = true; bet.warning = m.warning; } // flagged wherever the plan shows up, never silent
+  const over = checkOrder(state, plan.stake);
+  if (over) return { error:`Risk limit: ${over.message}`, limit:over };
+  return { ...bet, ...plan };
+}
+function doPlan(state, body) {
+  const p = sizeBet(state, body);
+  if (p.error || p.paused) return p;
+  state.planned = { ...p, at: nowIso() };
+  saveState(state);
+  bus.publish('plan.created', state.planned, accountOf(state));
+  return { ...state.planned };
+}
+async function doExecute(state, body){
+  const blocked = riskError(state);
+  if (blocked) return blocked;
   if (state.paused) return { paused:true, reason: state.pauseReason||'Paused' };
+  // a market in the body re-plans at the live price before executing
+  if (body && (body.marketId || body.conditionId || body.slug)) {
+    const p = doPlan(state, body);
+    if (p.error || p.paused) return p;
+  }
   if (!state.planned) return { error:'Nothing planned. Use /plan first.' };
-  const orderId = 'paper-'+Math.random().toString(36).slice(2,10);
-  return { order:{ id:orderId, ts: nowIso() }, planned: { ...state.planned } };
+  // take the plan before the broker await, so a concurrent /execute finds nothing to place; it goes back if this fails
+  const pl = state.planned;
+  state.planned = null;
+  const restore = ()=>{ if (!state.planned) { state.planned = pl; saveState(state); } };
+  let out;
+  try { out = await placeOrder(state, pl); } catch(e){ restore(); throw e; }
+  if (out.error) restore();
+  return out;
 }
+// Check a sized bet against the bankroll and risk limits, send it to the broker and open a position on what filled.
+async function placeOrder(state, pl){
+  const { available } = exposure(state);
+  if (pl.stake > available) return { error:`Stake ${pl.stake} exceeds available bankroll ${available}.` };
+  const over = riskError(state, pl.stake);
+  if (over) return over;
+  const feeRate = executionOf(state).feeRate, acct = accountOf(state);
+  inFlight.set(acct, (inFlight.get(acct)||0) + pl.stake);
+  let order;
+  try {
+    order = await brokerOf(state).placeBet({ marketId:pl.marketId, tokenId:pl.tokenId, outcome:pl.outcome, side:pl.side,
+                                    price:pl.limitPrice ?? pl.price, stake:pl.stake, feeRate:pl.fill?.feeRate ?? feeRate });
+  } finally { inFlight.set(acct, Math.max(0, inFlight.get(acct) - pl.stake)); }
+  if (!order.filledStake) return { error:`Order ${order.id} ${order.status}: ${order.reason||'not filled'}`, order };
+  // the position carries what actually filled, not what was planned; brokers that don't report a fee get our estimate
+  const fee = order.fee ?? Number((order.filledStake*(pl.fill?.feeRate ?? feeRate)).toFixed(2));
+  const pos = openPosition({ ...pl, stake:order.filledStake, price:order.avgPrice, odds:Number((1/order.avgPrice).toFixed(3)), fee,
+                             quotePrice:pl.price, plannedStake:pl.stake }, order);
+  state.positions.push(pos);
+  saveState(state);
+  const out = { order, position:{ ...pos }, exposure: exposure(state) };
+  bus.publish('order.executed', out, accountOf(state));
+  return out;
+}
+function findPosition(state, id){ return state.positions.find(p=>p.id===id || p.order?.id===id) || null; }
+async function doCancel(state, id){
+  const pos = findPosition(state, id);
+  if (!pos) return { error:`Unknown position "${id}"` };
+  const order = pos.order?.id ? await brokerOf(state).cancel(pos.order.id) : null;
+  if (order && order.status!=='CANCELLED') return { error:`Order ${order.id} is ${order.status}; cannot cancel.`, order };
+  state.positions = state.positions.filter(p=>p!==pos);
+  saveState(state);
+  const out = { cancelled:{ ...pos, cancelledAt: nowIso() }, order, exposure: exposure(state) };
+  bus.publish('position.cancelled', out, accountOf(state));
+  return out;
+}
+function settle(state, pos, res, meta){
+  const entry = bookResult(state, pos, res, meta);
+  if (pos && res!=='L') brokerOf(state).credit?.(entry.stake+entry.pnl+entry.fee); // paper cash gets the payout / refund (the fee went at fill)
+  saveState(state);
+  const out = { ...entry, wins:state.stats.wins, losses:state.stats.losses, voids:state.stats.voids, splits:state.stats.splits };
+  bus.publish('result.recorded', out, accountOf(state));
+  enforceRisk(state);
+  return out;
+}
+// Manual override (Telegram /w /l, POST /result); always audited as such.
+// Settles `positionId`, else the only open position, else books an unlinked bet from body odds/stake.
 function doResult(state, body){
   const res = String(body.result||'').toUpperCase();
-  if (res!=='W' && res!=='L') return { error:'result must be "W" or "L"' };
-  const odds = Number(body.odds)||Number(state?.planned?.odds)||((state.oddsBand.min+state.oddsBand.max)/2);
-  const stake = Number(state?.planned?.stake)||Number(body.stake)||0.1;
-  const pnl = res==='W' ? stake*(odds-1) : -stake;
-
-  state.bankroll = Math.max(0, Number((state.bankroll + pnl).toFixed(2)));
-  if (state.bankroll > state.highWater) state.highWater = state.bankroll;
-
-  const entry = { ts:nowIso(), result:res, stake:Number(stake.toFixed(2)), odds:Number(odds.toFixed(3)),
-                  pnl:Number(pnl.toFixed(2)), bankrollAfter: state.bankroll };
-  state.results.unshift(entry); if (state.results.length>5000) state.results.length=5000;
-  if (res==='W') state.stats.wins++; else state.stats.losses++;
-  state.planned = null; saveState(state);
-  return { ...entry, wins:state.stats.wins, losses:state.stats.losses };
-}
-function doPause(state,reason){ state.paused=true; state.pauseReason=reason||'Paused by user'; saveState(state); return { paused:true, reason:state.pauseReason }; }
-function doResume(state){ state.paused=false; state.pauseReason=''; saveState(state); return { paused:false }; }
+  if (!RESULTS.includes(res)) return { error:`result must be one of ${RESULTS.join(', ')}` };
+  let pos = null;
+  if (body.positionId) { pos = findPosition(state, body.positionId); if (!pos) return { error:`Unknown position "${body.positionId}"` }; }
+  else if (state.positions.length===1) pos = state.positions[0];
+  else if (state.positions.length>1) return { error:`${state.positions.length} open positions; pass positionId.` };
+  const odds = Number(body.odds)||Number(pos?.odds)||((state.oddsBand.min+state.oddsBand.max)/2);
+  const stake = Number(pos?.stake)||Number(body.stake)||0.1;
+  // an unlinked bet was filled elsewhere: body.fee, else the configured rate
+  const fee = pos ? Number(pos.fee)||0 : body.fee!==undefined ? Number(body.fee) : Number((stake*executionOf(state).feeRate).toFixed(2));
+  if (!(fee>=0)) return { error:'fee must be >= 0' };
+  return settle(state, pos, res, { odds, stake, fee, settledBy:'manual', source:'manual', note: body.note || 'manual override' });
+}
+// Corrections (Telegram /undo /void /amend, POST /results/…): state.correctResult rebuilds the book from the ledger.
+function doCorrect(state, id, change, body){
+  const out = correctResult(state, id, change, { by:body.by||'api', reason:body.reason });
+  if (out.error) return out;
+  const paid = (r)=> r?.positionId && r.result!=='L' ? r.stake+r.pnl+(r.fee||0) : 0; // paper cash the bet has paid out
+  const diff = paid(out.after)-paid(out.before);
+  if (diff) brokerOf(state).credit?.(diff);
+  const action = change.undo ? 'undo' : change.result==='V' ? 'void' : 'amend';
+  const evt = { action, by:body.by||'api', reason:body.reason, ...out };
+  bus.publish('result.corrected', evt, accountOf(state));
+  enforceRisk(state);
+  return evt;
+}
+// Settle open positions from the closed flag + final outcomePrices written by markets-refresher.js.
+function autoSettle(state){
+  if (!state.positions.length) return [];
+  const markets = readMarkets();
+  const settled = [];
+  for (const p of state.positions.slice()) {
+    const m = p.marketId && findMarket(p.marketId, markets);
+    const r = m && marketResolution(m);
+    if (!r) continue;
+    const res = r.split ? 'H' : (r.winner.toLowerCase()===String(p.outcome).toLowerCase()) === (p.side==='YES') ? 'W' : 'L';
+    const out = settle(state, p, res, { odds:p.odds, stake:p.stake, settledBy:'auto', source:'markets.json',
+                                        note: r.split ? 'market resolved 50/50 (0.5 per share)' : `resolved ${r.winner}` });
+    console.log(`[betd] auto-settled ${out.positionId} ${res} ${out.pnl} (${out.question}) [${accountOf(state)}]`);
+    settled.push(out);
+  }
+  return settled;
+}
+// Latest scan, with when each opportunity was first seen; ids that vanish are forgotten.
+const opps = { ts:null, items:[], firstSeen:new Map() };
+function scanOpportunities({ quiet=false }={}){
+  const items = scan();
+  const seen = new Map();
+  const fresh = [];
+  for (const o of items) {
+    const t = opps.firstSeen.get(o.id);
+    if (!t) fresh.push(o);
+    seen.set(o.id, t || nowIso());
+    o.firstSeen = seen.get(o.id);
+  }
+  Object.assign(opps, { ts:nowIso(), items, firstSeen:seen });
+  const worth = fresh.filter(o=>o.expectedProfit>=OPPS_NOTIFY_MIN);
+  if (!quiet && worth.length) {
+    console.log(`[betd] ${worth.length} new opportunit${worth.length===1?'y':'ies'}`);
+    bus.publish('opportunities.new', { count:worth.length, items:worth.slice(0,20) });
+  }
+  return fresh;
+}
+// Watchlist rules: fire once when the side's entry price crosses the trigger, re-arm once it's back.
+const WATCH_OPS = { '<':(a,b)=>a<b, '<=':(a,b)=>a<=b, '>':(a,b)=>a>b, '>=':(a,b)=>a>=b };
+const WATCH_ALIASES = { below:'<=', above:'>=' };
+function watchQuote(w, markets){
+  const m = findMarket(w.marketId, markets);
+  if (!m) return { error:'market gone' };
+  if (m.closed===true || m.archived===true) return { error:'closed' };
+  return quoteOutcome(m, w.outcome, w.side);
+}
+// {marketId|slug, side, op, price, outcome?, autoPlan?, note?, by?}
+function addWatch(state, body){
+  const op = WATCH_ALIASES[body.op] || body.op;
+  if (!WATCH_OPS[op]) return { error:`op must be one of ${Object.keys(WATCH_OPS).join(' ')} (or above/below)` };
+  const price = Number(body.price);
+  if (!(price>0 && price<1)) return { error:'price must be in (0,1)' };
+  const r = resolveBet(body);
+  if (r.error) return r;
+  const { bet } = r;
+  // not fired yet even if already met, so the next refresh reports it
+  const w = { id:newId('w'), marketId:bet.marketId, question:bet.question, url:bet.url, outcome:bet.outcome, side:bet.side, op, price,
+              autoPlan:!!body.autoPlan, note:body.note||null, by:body.by||null, createdAt:nowIso(), fired:false, firedAt:null, lastPrice:bet.price };
+  state.watchlist.push(w); saveState(state);
+  bus.publish('config.changed', { what:'watchlist', added:w.id }, accountOf(state));
+  return { watch:{ ...w, current:bet.price, met:WATCH_OPS[op](bet.price, price) } };
+}
+function removeWatch(state, id){
+  const w = state.watchlist.find(x=>x.id===id);
+  if (!w) return { error:`Unknown watch "${id}"` };
+  state.watchlist = state.watchlist.filter(x=>x!==w); saveState(state);
+  bus.publish('config.changed', { what:'watchlist', removed:id }, accountOf(state));
+  return { removed:w };
+}
+function watchlistView(state){
+  const markets = readMarkets();
+  return state.watchlist.map(w=>{ const q = watchQuote(w, markets);
+    return { ...w, current:q.error?null:q.price, met:q.error?null:WATCH_OPS[w.op](q.price, w.price), status:q.error||(w.fired?'fired':'armed') }; });
+}
+// After a refresh: fire rules that crossed; autoPlan ones also stage a plan for /go.
+function checkWatchlist(state){
+  if (!state.watchlist.length) return [];
+  const markets = readMarkets();
+  const fired = [];
+  for (const w of state.watchlist) {
+    const q = watchQuote(w, markets);
+    if (q.error) continue;
+    const hit = WATCH_OPS[w.op](q.price, w.price);
+    w.lastPrice = q.price;
+    if (hit && !w.fired) { w.fired = true; w.firedAt = nowIso(); fired.push(w); }
+    else if (!hit) w.fired = false;
+  }
+  saveState(state);
+  for (const w of fired) {
+    console.log(`[betd] watch ${w.id} fired: ${w.side} ${w.outcome} ${w.lastPrice} ${w.op} ${w.price} (${w.question})`);
+    const plan = w.autoPlan ? doPlan(state, { marketId:w.marketId, outcome:w.outcome, side:w.side }) : null;
+    bus.publish('watch.triggered', { watch:{ ...w }, price:w.lastPrice, plan }, accountOf(state));
+  }
+  return fired;
+}
+// One autopilot pass, after a refresh or on POST /autopilot/run: rank the filtered candidates by model edge,
+// then log (dryrun) or execute (on) the best maxBetsPerRun, one per market. Decisions go to lastRun + autopilot.run.
+// Bets are sized and placed here, never staged in state.planned, which stays the human's; one pass per account at a time.
+async function runAutopilot(state, trigger, mode){
+  const ap = autopilotState(state), acct = accountOf(state);
+  mode = mode || ap.mode;
+  if (!AUTOPILOT_MODES.includes(mode)) return { error:`mode must be one of ${AUTOPILOT_MODES.join(', ')}` };
+  if (mode==='off') return { error:'Autopilot is off (run with mode "dryrun" to preview)' };
+  if (autopilotBusy.has(acct)) return { error:`An autopilot pass is already running on ${acct}`, busy:true };
+  autopilotBusy.add(acct);
+  try { return await autopilotPass(state, trigger, mode); } finally { autopilotBusy.delete(acct); }
+}
+async function autopilotPass(state, trigger, mode){
+  const ap = autopilotState(state);
+  const f = ap.filters, band = state.oddsBand;
+  const run = { ts:nowIso(), mode, trigger, considered:0, rejected:{}, decisions:[] };
+  const reject = (k)=>{ run.rejected[k] = (run.rejected[k]||0)+1; };
+  const blocked = riskError(state) || (state.paused ? { error:`Paused: ${state.pauseReason||'Paused'}` } : null);
+  if (blocked) run.skipped = blocked.error;
+  else {
+    const c = candidates(state);
+    run.considered = c.candidates.length; Object.assign(run.rejected, c.rejected);
+    const best = new Map(); // marketId -> best sized bet
+    for (const x of c.candidates) {
+      const p = sizeBet(state, x);
+      if (p.error) { reject(p.error.startsWith('No edge') ? 'no-edge' : p.limit ? 'risk-limit' : 'sizing'); continue; }
+      if (!p.model) { reject('no-estimate'); continue; }
+      if (p.model.edge < f.minEdge) { reject('min-edge'); continue; }
+      if (p.odds < band.min || p.odds > band.max) { reject('band'); continue; } // search() prices off last, the quote off the book
+      if (!(p.stake > 0)) { reject('zero-stake'); continue; }
+      if (!best.has(p.marketId) || best.get(p.marketId).model.edge < p.model.edge) best.set(p.marketId, p);
+    }
+    const picks = [...best.values()].sort((a,b)=>b.model.edge-a.model.edge).slice(0, f.maxBetsPerRun);
+    for (const p of picks) {
+      const d = { marketId:p.marketId, question:p.question, url:p.url, outcome:p.outcome, side:p.side, price:p.price, odds:p.odds,
+                  stake:p.stake, prob:p.model.prob, edge:p.model.edge };
+      if (mode==='dryrun') { run.decisions.push({ ...d, action:'would-bet' }); continue; }
+      // re-sized at the live price and what earlier picks left available
+      const sized = sizeBet(state, { marketId:p.marketId, outcome:p.outcome, side:p.side });
+      const out = sized.error || sized.paused ? sized : await placeOrder(state, sized);
+      run.decisions.push(out.error || out.paused ? { ...d, action:'refused', reason:out.error||out.reason }
+        : { ...d, action:'bet', positionId:out.position.id, stake:out.position.stake, price:out.position.price, order:out.order.status });
+      if (out.breaker || out.paused) break;
+    }
+  }
+  state.autopilot.lastRun = run;
+  saveState(state);
+  console.log(`[betd] autopilot ${mode} (${trigger}) [${accountOf(state)}]: ${run.skipped || `${run.considered} candidates, ${run.decisions.map(d=>`${d.action} ${d.side} ${d.outcome} ${d.stake} on ${d.marketId}`).join('; ') || 'no bets'}`}`);
+  bus.publish('autopilot.run', run, accountOf(state));
+  return run;
+}
+function setAutopilot(state, body){
+  const ap = autopilotState(state);
+  if (body.mode!==undefined && !AUTOPILOT_MODES.includes(body.mode)) return { error:`mode must be one of ${AUTOPILOT_MODES.join(', ')}` };
+  const { mode, ...rest } = body;
+  const v = validateFilters(ap.filters, body.filters || rest);
+  if (v.error) return v;
+  if (mode!==undefined) ap.mode = mode;
+  ap.filters = v.filters; saveState(state);
+  bus.publish('config.changed', { what:'autopilot', mode:ap.mode, filters:ap.filters }, accountOf(state));
+  return { mode:ap.mode, filters:ap.filters };
+}
+function doPause(state,reason){ state.paused=true; state.pauseReason=reason||'Paused by user'; saveState(state); bus.publish('paused', { reason:state.pauseReason }, accountOf(state)); return { paused:true, reason:state.pauseReason }; }
+function doResume(state, body){
+  const a = acknowledge(state, body||{});
+  if (a.error) return a;
+  state.paused=false; state.pauseReason=''; saveState(state);
+  bus.publish('resumed', { ack:a.ack||null }, accountOf(state));
+  return { paused:false, ack:a.ack||null };
+}
+function setRisk(state, body){
+  const v = validateLimits(riskState(state).limits, body.limits||body);
+  if (v.error) return v;
+  state.risk.limits = v.limits; saveState(state);
+  bus.publish('config.changed', { what:'risk', limits:v.limits }, accountOf(state));
+  return { limits:v.limits, usage:riskUsage(state) };
+}
+function setExecution(state, body){
+  const v = validateExecution(executionOf(state), body.execution||body);
+  if (v.error) return v;
+  state.execution = v.execution; saveState(state);
+  bus.publish('config.changed', { what:'execution', execution:v.execution }, accountOf(state));
+  return { execution:v.execution };
+}
 function setOddsBand(state,min,max){
   const a=Number(min), b=Number(max);
   if (!Number.isFinite(a)||!Number.isFinite(b)||a<1.01||b<=a) return { error:'Bad odds band. Use numbers like {min:1.4,max:3.0}' };
-  state.oddsBand={min:a,max:b}; saveState(state); return state.oddsBand;
+  state.oddsBand={min:a,max:b}; saveState(state); bus.publish('config.changed', { what:'oddsBand', oddsBand:state.oddsBand }, accountOf(state)); return state.oddsBand;
+}
+function setModel(state, body){
+  if (body.name!==undefined) {
+    if (!MODELS[body.name]) return { error:`Unknown model "${body.name}". Options: ${Object.keys(MODELS).join(', ')}` };
+    state.model.name = body.name;
+  }
+  saveState(state); bus.publish('config.changed', { what:'model', model:state.model.name }, accountOf(state));
+  return { active:state.model.name, overrides:state.model.overrides };
+}
+// Manual model input: {marketId, outcome?, prob, confidence?, note?}; prob null clears the outcome (or the whole market).
+function setOverride(state, body){
+  const id = String(body.marketId||'');
+  const m = id && findMarket(id);
+  if (!m) return { error:`Unknown market "${id}"` };
+  const key = body.outcome ? String(body.outcome) : '*';
+  let ov = state.model.overrides[String(m.id)] || {};
+  if (body.prob===null) { if (body.outcome) delete ov[key]; else ov = {}; }
+  else {
+    const p = Number(body.prob), c = body.confidence===undefined ? 1 : Number(body.confidence);
+    if (!(p>0 && p<1)) return { error:'prob must be in (0,1)' };
+    if (!(c>=0 && c<=1)) return { error:'confidence must be in [0,1]' };
+    ov[key] = { prob:p, confidence:c, note:body.note||null, at:nowIso() };
+  }
+  if (Object.keys(ov).length) state.model.overrides[String(m.id)] = ov; else delete state.model.overrides[String(m.id)];
+  saveState(state); bus.publish('config.changed', { what:'override', marketId:String(m.id), overrides:ov }, accountOf(state));
+  return { marketId:String(m.id), overrides:ov };
+}
+function setStrategy(state, body){
+  const v = validateStrategy(String(body.name||state.strategy.name), body.config||{});
+  if (v.error) return v;
+  state.strategy = v; saveState(state); bus.publish('config.changed', { what:'strategy', strategy:v }, accountOf(state)); return { active:v };
+}
+// Monte Carlo for the active strategy (or body.strategy {name, config}) from the current bankroll by default.
+function doSimulate(state, body){
+  const v = validateStrategy(body.strategy?.name || state.strategy.name, body.strategy ? body.strategy.config : state.strategy.config);
+  if (v.error) return v;
+  const num = (x, d) => x===undefined || x===null || x==='' ? d : Number(x);
+  const bets = num(body.bets, 200), paths = num(body.paths, 2000);
+  if (bets*paths > SIM_MAX_STEPS) return { error:`bets x paths ${bets*paths} exceeds ${SIM_MAX_STEPS} (SIM_MAX_STEPS)` };
+  return simulate({ p:num(body.p), edge:num(body.edge, 0.02), odds:body.odds ?? (state.oddsBand.min+'-'+state.oddsBand.max),
+                    bets, paths, bankroll:num(body.bankroll, state.bankroll), strategy:v,
+                    drawdown:num(body.drawdown, riskState(state).limits.maxDrawdownPct), seed:num(body.seed, 1) });
 }
 function buildStatus(state){
-  const sk = streak(state.results);
-  return { bankroll:state.bankroll, highWater:state.highWater, paused:state.paused, pauseReason:state.pauseReason||null,
-           oddsBand:state.oddsBand, planned:state.planned, results:state.results.slice(0,10), stats:state.stats, streak:sk };
+  const sk = streakInfo(state.results);
+  return { account:accountOf(state), bankroll:state.bankroll, highWater:state.highWater, paused:state.paused, pauseReason:state.pauseReason||null,
+           oddsBand:state.oddsBand, strategy:state.strategy, model:state.model.name, autopilot:autopilotState(state).mode, planned:state.planned, positions:state.positions, exposure:exposure(state),
+           risk:{ limits:riskState(state).limits, breaker:state.risk.breaker, usage:riskUsage(state) }, execution:executionOf(state),
+           results:state.results.slice(0,10), stats:state.stats, streak:sk };
 }
-function buildReport(state){
+// Every account's state (opened, so locked, on first use); the refresh passes run over all of them.
+function allAccounts(){ return listAccounts().map(accountState).filter(Boolean); }
+// One row per account plus totals: the dashboard's combined view and the bot's /account list.
+function accountsView(){
+  const rows = allAccounts().map(s=>{
+    const e = exposure(s), n = s.stats.wins+s.stats.losses;
+    return { name:accountOf(s), bankroll:s.bankroll, highWater:s.highWater, currency:s.currency, strategy:s.strategy.name, oddsBand:s.oddsBand,
+             autopilot:autopilotState(s).mode, paused:s.paused, breaker:s.risk.breaker?.code||null, open:e.open, atRisk:e.atRisk,
+             bets:n, wins:s.stats.wins, losses:s.stats.losses, winrate:n?Number((s.stats.wins/n*100).toFixed(2)):0,
+             pnl:Number(s.results.reduce((a,r)=>a+(r.pnl||0),0).toFixed(2)) };
+  });
+  const sum = (k)=>Number(rows.reduce((a,r)=>a+r[k],0).toFixed(2));
+  return { accounts:rows, total:{ bankroll:sum('bankroll'), highWater:sum('highWater'), open:sum('open'), atRisk:sum('atRisk'),
+                                  bets:sum('bets'), wins:sum('wins'), losses:sum('losses'), pnl:sum('pnl') } };
+}
+function doCreateAccount(body){
+  const out = createAccount(body);
+  if (out.error) return out;
+  bus.publish('config.changed', { what:'account', created:out.name }, out.name);
+  return buildStatus(out.state);
+}
+// `since` (ISO) adds a `period` block over results settled from then on, e.g. for the Telegram digests.
+function buildReport(state, since){
   const n = state.stats.wins + state.stats.losses;
   const winrate = n? (state.stats.wins/n):0;
-  const pnl = state.results.reduce((a,r)=>a+(r.pnl||0),0);
-  return { bankroll:state.bankroll, highWater:state.highWater, totalBets:n, wins:state.stats.wins, losses:state.stats.losses,
-           winrate:Number((winrate*100).toFixed(2)), pnlAll:Number(pnl.toFixed(2)), last20: state.results.slice(0,20) };
+  const pnl = state.results.reduce((a,r)=>a+(r.pnl||0),0), fees = state.results.reduce((a,r)=>a+(r.fee||0),0);
+  const out = { bankroll:state.bankroll, highWater:state.highWater, totalBets:n, wins:state.stats.wins, losses:state.stats.losses,
+                winrate:Number((winrate*100).toFixed(2)), pnlAll:Number(pnl.toFixed(2)), feesAll:Number(fees.toFixed(2)), last20: state.results.slice(0,20) };
+  const t = since ? Date.parse(since) : NaN;
+  if (Number.isFinite(t)) {
+    const rs = state.results.filter(r=>Date.parse(r.settledAt||r.ts)>=t);
+    const sum = (k)=>rs.reduce((a,r)=>a+(Number(r[k])||0),0);
+    const count = (res)=>rs.filter(r=>r.result===res).length, w = count('W'), l = count('L');
+    out.period = { since:new Date(t).toISOString(), bets:rs.length, wins:w, losses:l, voids:count('V'), splits:count('H'),
+                   pnl:Number(sum('pnl').toFixed(2)), fees:Number(sum('fee').toFixed(2)), staked:Number(sum('stake').toFixed(2)),
+                   roi: sum('stake')>0 ? Number((sum('pnl')/sum('stake')*100).toFixed(2)) : 0,
+                   best: rs.reduce((b,r)=>!b || r.pnl>b.pnl ? r : b, null), worst: rs.reduce((b,r)=>!b || r.pnl<b.pnl ? r : b, null) };
+  }
+  return out;
+}
+
+// ----- event subscribers -----
+function autopilotText(run){
+  return [`🤖 Autopilot ${run.mode}`, ...run.decisions.map(d=>`${d.action==='bet'?'📤':d.action==='would-bet'?'📝':'⛔'} ${d.action} ${d.stake} @ ${d.odds} (edge ${d.edge})  ${d.side} ${d.outcome} — ${d.question}${d.reason?`\n${d.reason}`:''}`)].join('\n');
+}
+function watchText({ watch:w, price, plan }){
+  const p = !plan ? '' : plan.error || plan.paused ? `\nplan: ${plan.error||plan.reason}` : `\n🧮 planned ${plan.stake} @ ${plan.odds} — /go to execute${plan.warning?`\n⚠️ ${plan.warning}`:''}`;
+  return `👀 ${w.side} ${w.outcome} at ${price} (${w.op} ${w.price})\n${w.question}${w.note?`\n${w.note}`:''}${p}`;
+}
+// Telegram push for what nobody asked for: breakers, auto-settles and (OPPS_NOTIFY) new opportunities.
+// Only while telegram-bet-bot.js isn't on /events; when it is, it sends per-chat alerts itself.
+function telegramSubscriber(evt){
+  if (bus.hasClient('telegram-bot')) return;
+  const d = evt.data;
+  const say = (text)=>notify(evt.account && evt.account!==DEFAULT_ACCOUNT ? `[${evt.account}] ${text}` : text);
+  if (evt.type==='breaker.tripped') return say(`🛑 Breaker tripped — betd paused\n${d.message}\nResume with /resume ack`);
+  if (evt.type==='result.recorded' && d.settledBy==='auto') {
+    const tag = d.result==='W' ? '✅ WIN' : d.result==='L' ? '❌ LOSS' : d.result==='H' ? '➗ 50/50' : '↩️ VOID';
+    return say(`${tag}  ${d.pnl>0?'+':''}${d.pnl}  (bk ${d.bankrollAfter})\n${d.side} ${d.outcome} — ${d.question}\n${d.note}`);
+  }
+  if (evt.type==='watch.triggered') return say(watchText(d));
+  if (evt.type==='autopilot.run' && d.decisions.length) return say(autopilotText(d));
+  if (evt.type==='opportunities.new' && OPPS_NOTIFY)
+    return say(['💡 New opportunities', ...d.items.slice(0,5).map(o=>`${o.type}  +${o.expectedProfit} on ${o.stake} (${(o.roi*100).toFixed(2)}%)\n${o.question}\n${o.note}${o.url?`\n${o.url}`:''}`)].join('\n\n'));
 }
 
 // ----- http helpers -----
+// 409 for risk refusals, 400 for other errors
+function outCode(out){ return out.error ? (out.breaker||out.limit ? 409 : 400) : 200; }
+function fixCode(out){ return out.error ? (out.error.startsWith('Unknown result') ? 404 : 400) : 200; }
 function sendJson(res,code,obj){ const s=JSON.stringify(obj); res.writeHead(code,{'Content-Type':'application/json'}); res.end(s); }
 function parseBody(req){
   return new Promise((resolve,reject)=>{
@@ -163,32 +612,83 @@ function parseBody(req){
 // ----- server -----
 async function main(){
   await freePort(PORT);
+  // betd is every account's writer while it runs: accountState() hands out the one shared in-memory state
+  allAccounts();
+  const broker = brokerOf(accountState(DEFAULT_ACCOUNT)); // fails fast on a misconfigured broker
 
   const server = http.createServer(async (req,res)=>{
     const url = new URL(req.url, `http://${req.headers.host}`);
     const method = req.method;
-    const state = loadState();
 
-    // CORS
-    if (method==='OPTIONS'){
-      res.writeHead(204,{'Access-Control-Allow-Origin':'*','Access-Control-Allow-Methods':'GET,POST,OPTIONS','Access-Control-Allow-Headers':'Content-Type'}); 
-      return res.end();
-    }
-    res.setHeader('Access-Control-Allow-Origin','*');
+    // CORS (BETD_CORS_ORIGINS) + tokens (auth.js): reads need the read scope if one is configured, writes admin
+    const cors = corsHeaders(req);
+    if (method==='OPTIONS'){ res.writeHead(204, cors); return res.end(); }
+    for (const [k,v] of Object.entries(cors)) res.setHeader(k, v);
+    const auth = authorize(req, url);
+    if (auth.error) return sendJson(res, auth.status, { error:auth.error });
+
+    // only after auth: opening an account takes its writer lock and may create its files
+    const account = url.searchParams.get('account') || DEFAULT_ACCOUNT; // ?account= picks the bankroll a route works on
+    const state = accountState(account);
+    if (!state) return sendJson(res, 404, { error:`Unknown account "${account}". Accounts: ${listAccounts().join(', ')}` });
 
     try {
+      if (method==='GET' && url.pathname==='/health') return sendJson(res,200,{ ok:true });
       if (method==='GET' && url.pathname==='/ui'){
         const html = fs.readFileSync(UI_PATH,'utf8'); res.writeHead(200,{'Content-Type':'text/html'}); return res.end(html);
       }
+      if (method==='GET' && url.pathname==='/events'){
+        const t = bus.parseTypes(url.searchParams.get('types'));
+        if (t.error) return sendJson(res,400,t);
+        return bus.stream(req, res, { types:t.types, lastId:req.headers['last-event-id'] ?? url.searchParams.get('lastEventId'), name:url.searchParams.get('client') });
+      }
       if (method==='GET' && url.pathname==='/status') return sendJson(res,200,buildStatus(state));
+      if (method==='GET' && url.pathname==='/accounts') return sendJson(res,200,accountsView());
+      if (method==='POST' && url.pathname==='/accounts'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=doCreateAccount(b); return sendJson(res, out.error?400:200, out); }
       if (method==='GET' && url.pathname==='/intel')  return sendJson(res,200,summarizeMarkets());
-      if (method==='GET' && url.pathname==='/report') return sendJson(res,200,buildReport(state));
+      if (method==='GET' && url.pathname==='/report') return sendJson(res,200,buildReport(state, url.searchParams.get('since')));
+      if (method==='GET' && url.pathname==='/analytics'){ const out=analyze(state, { since:url.searchParams.get('since'), until:url.searchParams.get('until') }); return sendJson(res, out.error?400:200, out); }
+      if (method==='GET' && url.pathname==='/strategy') return sendJson(res,200,{ active:validateStrategy(state.strategy.name, state.strategy.config), strategies:describeStrategies() });
+      if (method==='POST' && url.pathname==='/strategy'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=setStrategy(state,b); return sendJson(res, out.error?400:200, out); }
+      if (method==='GET' && url.pathname==='/model') return sendJson(res,200,{ active:state.model.name, overrides:state.model.overrides, models:describeModels() });
+      if (method==='POST' && url.pathname==='/model'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=setModel(state,b); return sendJson(res, out.error?400:200, out); }
+      if (method==='POST' && url.pathname==='/model/override'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=setOverride(state,b); return sendJson(res, out.error?400:200, out); }
+      if (method==='DELETE' && url.pathname.startsWith('/model/override/')){ const out=setOverride(state,{ marketId:decodeURIComponent(url.pathname.slice('/model/override/'.length)), outcome:url.searchParams.get('outcome')||undefined, prob:null }); return sendJson(res, out.error?404:200, out); }
+      const hist = method==='GET' && url.pathname.match(/^\/markets\/([^/]+)\/history$/);
+      if (hist){ const out=doHistory(state, decodeURIComponent(hist[1]), url.searchParams); return sendJson(res, out.error?404:200, out); }
+      if (method==='GET' && url.pathname==='/autopilot'){ const ap=autopilotState(state); return sendJson(res,200,{ mode:ap.mode, modes:AUTOPILOT_MODES, filters:ap.filters, lastRun:ap.lastRun }); }
+      if (method==='POST' && url.pathname==='/autopilot'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=setAutopilot(state,b); return sendJson(res, out.error?400:200, out); }
+      if (method==='POST' && url.pathname==='/autopilot/run'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=await runAutopilot(state, 'manual', b.mode); return sendJson(res, out.error?(out.busy?409:400):200, out); }
+      if (method==='GET' && url.pathname==='/watchlist') return sendJson(res,200,{ watches:watchlistView(state) });
+      if (method==='POST' && url.pathname==='/watchlist'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=addWatch(state,b); return sendJson(res, out.error?400:200, out); }
+      if (method==='DELETE' && url.pathname.startsWith('/watchlist/')){ const out=removeWatch(state, decodeURIComponent(url.pathname.slice('/watchlist/'.length))); return sendJson(res, out.error?404:200, out); }
+      if (method==='GET' && url.pathname==='/positions') return sendJson(res,200,{ positions:state.positions, exposure:exposure(state) });
+      if (method==='DELETE' && url.pathname.startsWith('/positions/')){ const out=await doCancel(state, decodeURIComponent(url.pathname.slice('/positions/'.length))); return sendJson(res, out.error?(out.order?409:404):200, out); }
+      if (method==='GET' && url.pathname==='/orders') { const b=brokerOf(state); return sendJson(res,200,{ broker:b.constructor.name, balance:await b.getBalance(), orders:await b.listOrders() }); }
+      if (method==='GET' && url.pathname.startsWith('/orders/')){ const o=await brokerOf(state).getOrder(decodeURIComponent(url.pathname.slice('/orders/'.length))); return sendJson(res, o?200:404, o||{error:'not found'}); }
 
-      if (method==='POST' && url.pathname==='/plan'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); return sendJson(res,200,doPlan(state, Number(b.odds))); }
-      if (method==='POST' && url.pathname==='/execute'){ const out=doExecute(state); return sendJson(res, out.error?400:200, out); }
+      if (method==='GET' && url.pathname==='/opportunities'){
+        const q = url.searchParams, min = Number(q.get('min')||0), type = q.get('type'), limit = Number(q.get('limit'))||50;
+        const items = opps.items.filter(o=>(!type || o.type===type) && o.expectedProfit>=min);
+        return sendJson(res,200,{ ts:opps.ts, count:items.length, opportunities:items.slice(0,limit) });
+      }
+      if (method==='POST' && url.pathname==='/simulate'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=doSimulate(state,b); return sendJson(res, out.error?400:200, out); }
+      if (method==='POST' && url.pathname==='/plan'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=doPlan(state,b); return sendJson(res, outCode(out), out); }
+      if (method==='POST' && url.pathname==='/execute'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=await doExecute(state,b); return sendJson(res, outCode(out), out); }
       if (method==='POST' && url.pathname==='/result'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=doResult(state,b); return sendJson(res, out.error?400:200, out); }
+      if (method==='POST' && url.pathname==='/results/undo'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=doCorrect(state, b.resultId||'last', { undo:true }, b); return sendJson(res, fixCode(out), out); }
+      const fix = method==='POST' && url.pathname.match(/^\/results\/([^/]+)\/(amend|void)$/);
+      if (fix){
+        const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message});
+        const change = fix[2]==='void' ? { result:'V' } : { result:b.result, odds:b.odds, stake:b.stake };
+        const out=doCorrect(state, decodeURIComponent(fix[1]), change, b); return sendJson(res, fixCode(out), out);
+      }
       if (method==='POST' && url.pathname==='/pause'){ const b=await parseBody(req).catch(()=>({})); return sendJson(res,200,doPause(state,b.reason)); }
-      if (method==='POST' && url.pathname==='/resume'){ return sendJson(res,200,doResume(state)); }
+      if (method==='POST' && url.pathname==='/resume'){ const b=await parseBody(req).catch(()=>({})); const out=doResume(state,b); return sendJson(res, out.error?409:200, out); }
+      if (method==='GET' && url.pathname==='/risk') return sendJson(res,200,{ limits:riskState(state).limits, breaker:state.risk.breaker, ack:state.risk.ack, usage:riskUsage(state) });
+      if (method==='POST' && url.pathname==='/risk'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=setRisk(state,b); return sendJson(res, out.error?400:200, out); }
+      if (method==='GET' && url.pathname==='/execution') return sendJson(res,200,{ execution:executionOf(state) });
+      if (method==='POST' && url.pathname==='/execution'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=setExecution(state,b); return sendJson(res, out.error?400:200, out); }
       if (method==='POST' && url.pathname==='/oddsband'){ const b=await parseBody(req).catch(e=>({__error:e})); if(b?.__error) return sendJson(res,400,{error:b.__error.message}); const out=setOddsBand(state,b.min,b.max); return sendJson(res, out.error?400:200, out); }
 
       sendJson(res,404,{error:'not found'});
@@ -197,7 +697,30 @@ async function main(){
     }
   });
 
-  server.listen(PORT, ()=> console.log(`[betd] listening on http://localhost:${PORT}  |  UI: /ui`));
-  process.on('SIGINT', ()=>{ console.log('\n[betd] shutting down…'); server.close(()=>process.exit(0)); });
+  bus.auditLog();
+  bus.subscribe(telegramSubscriber, { types:['breaker.tripped','result.recorded','watch.triggered','autopilot.run','opportunities.new'] });
+  server.listen(PORT, HOST, ()=> console.log(`[betd] listening on http://${HOST}:${PORT}  |  UI: /ui  |  events: /events  |  broker: ${broker.constructor.name}  |  ${describeAuth()}`));
+
+  // settle open bets and rescan for opportunities whenever the refresher rewrites markets.json
+  const trySettle = ()=>allAccounts().flatMap(s=>{ try { return autoSettle(s); } catch(e){ console.error(`[betd] autoSettle [${accountOf(s)}]`, e.message); return []; } });
+  const tryScan = (quiet)=>{ try { return scanOpportunities({ quiet }); } catch(e){ console.error('[betd] scan', e.message); return []; } };
+  const tryWatch = ()=>allAccounts().flatMap(s=>{ try { return checkWatchlist(s); } catch(e){ console.error(`[betd] watchlist [${accountOf(s)}]`, e.message); return []; } });
+  // one account at a time
+  const tryAutopilot = async ()=>{
+    for (const s of allAccounts()) {
+      if (autopilotState(s).mode==='off') continue;
+      const out = await runAutopilot(s, 'refresh').catch(e=>({ error:e.message }));
+      if (out.error) console.error(`[betd] autopilot [${accountOf(s)}]`, out.error);
+    }
+  };
+  fs.watchFile(MARKETS_PATH, { interval: 5000 }, ()=>{
+    const settled = trySettle(), fresh = tryScan(false), fired = tryWatch();
+    const { lastRefresh, source, total, active, lastChanges } = summarizeMarkets();
+    bus.publish('markets.refreshed', { lastRefresh, source, total, active, changes:lastChanges, settled:settled.length, opportunities:opps.items.length, newOpportunities:fresh.length, watchesFired:fired.length });
+    tryAutopilot();
+  });
+  trySettle();
+  tryScan(true); // what's already there on startup isn't "new"
+  for (const sig of ['SIGINT','SIGTERM']) process.on(sig, ()=>{ console.log('\n[betd] shutting down…'); bus.closeStreams(); server.close(()=>process.exit(0)); });
 }
 main().catch(e=>{ console.error('💥 Failed to start betd:', e.message); process.exit(1); });
\ No newline at end of file
@@ -1,11 +1,84 @@
-// broker.js
+// broker.js — order execution behind one interface, picked by BROKER (default "paper")
+//
+// Every broker implements (ClobBroker lives in clob-broker.js):
+//   placeBet({ marketId, tokenId, outcome, side, price, stake, feeRate? }) -> order    (price: the worst price to pay)
+//   cancel(id) -> order | null      getOrder(id) -> order | null
+//   listOrders() -> order[]         getBalance() -> { currency, balance }
+// where order = { id, ts, marketId, outcome, side, limitPrice, stake, filledStake, avgPrice, shares, fee?, status, reason? }
+// and status is FILLED | PARTIAL | OPEN | REJECTED | CANCELLED.
+
+const fs = require('fs');
+const path = require('path');
+const { readMarkets, findMarket, quoteOutcome } = require('./markets');
+const { ClobBroker } = require('./clob-broker');
+const { bookLevels, walkBook, feeFor } = require('./fills');
+
+const PAPER_PATH = path.join(__dirname, 'logs', 'paper-orders.json');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Simulated broker: fills instantly against the book in markets.json (see fills.js) up to the limit price;
+// what the book can't take at that price is a partial fill. The taker fee comes out of the balance on top.
 class PaperBroker {
-  constructor() { this.orders = []; }
-  async placeBet({ market, side, odds, stake }) {
-    const id = `ord_${Date.now()}`;
-    this.orders.push({ id, ts: new Date().toISOString(), market, side, odds, stake, status: 'PLACED' });
-    return { id, status: 'PLACED' };
+  constructor({ file = PAPER_PATH, balance = 0 } = {}) {
+    this.file = file;
+    const saved = (() => { try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return null; } })();
+    this.orders = saved?.orders || [];
+    this.balance = Number.isFinite(saved?.balance) ? saved.balance : Number(balance) || 0;
   }
-  list() { return this.orders.slice().reverse(); }
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ balance: this.balance, orders: this.orders }, null, 2));
+    } catch (e) { console.error('[broker] save', e.message); }
+  }
+  async placeBet({ marketId, outcome, side, price, stake, feeRate = 0 }) {
+    const order = { id: `ord_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, ts: new Date().toISOString(),
+                    marketId, outcome, side, limitPrice: price, stake: round2(stake), filledStake: 0, avgPrice: null, shares: 0, status: 'REJECTED' };
+    const m = findMarket(marketId, readMarkets());
+    const q = m && quoteOutcome(m, outcome, side);
+    if (!m) order.reason = `unknown market ${marketId}`;
+    else if (q.error) order.reason = q.error;
+    else if (Number.isFinite(price) && q.price > price) order.reason = `price moved ${price} -> ${q.price}`;
+    else {
+      const levels = bookLevels(m, q) || [{ price: q.price, size: Infinity }];
+      const rate = m.feesEnabled === false ? 0 : feeRate;
+      const f = walkBook(levels, Math.min(order.stake, Math.max(0, this.balance) / (1 + rate)), Number.isFinite(price) ? price : Infinity);
+      const fill = round2(f.spent);
+      if (fill <= 0) order.reason = this.balance <= 0 ? 'insufficient balance' : 'no liquidity';
+      else {
+        const fee = feeFor(m, fill, feeRate);
+        Object.assign(order, { filledStake: fill, avgPrice: Number(f.avgPrice.toFixed(4)), shares: Number(f.shares.toFixed(4)), fee,
+                               status: fill < order.stake ? 'PARTIAL' : 'FILLED' });
+        this.balance = round2(this.balance - fill - fee);
+      }
+    }
+    this.orders.push(order);
+    this.save();
+    return { ...order };
+  }
+  // Paper orders fill on placement, so cancelling unwinds the fill and refunds stake and fee.
+  async cancel(id) {
+    const o = this.orders.find(x => x.id === id);
+    if (!o || o.status === 'CANCELLED' || o.status === 'REJECTED') return o ? { ...o } : null;
+    this.balance = round2(this.balance + o.filledStake + (o.fee || 0));
+    o.status = 'CANCELLED'; o.cancelledAt = new Date().toISOString();
+    this.save();
+    return { ...o };
+  }
+  async getOrder(id) { const o = this.orders.find(x => x.id === id); return o ? { ...o } : null; }
+  async listOrders() { return this.orders.slice().reverse(); }
+  async getBalance() { return { currency: 'USD', balance: this.balance }; }
+  // settlement pays winnings (or refunds) back into paper cash
+  credit(amount) { this.balance = round2(this.balance + amount); this.save(); }
+}
+
+const BROKERS = { paper: PaperBroker, clob: ClobBroker };
+
+function createBroker(kind = process.env.BROKER || 'paper', opts = {}) {
+  const Broker = BROKERS[kind];
+  if (!Broker) throw new Error(`Unknown broker "${kind}". Options: ${Object.keys(BROKERS).join(', ')}`);
+  return new Broker(opts);
 }
-module.exports = { PaperBroker };
+
+module.exports = { PaperBroker, ClobBroker, BROKERS, createBroker };
@@ -0,0 +1,98 @@
+// bus.js — betd's in-process event bus
+//
+// publish(type, data, account) stamps { id, type, ts, account, data } (account null for market-wide events),
+// keeps the last BUS_BUFFER events and hands each one to in-process subscribers (Telegram push, audit log) and
+// to every Server-Sent Events client on GET /events.
+// SSE clients reconnecting with Last-Event-ID get what they missed from the buffer.
+//
+// Types:
+//   plan.created  order.executed  position.cancelled  result.recorded  result.corrected  paused  resumed
+//   breaker.tripped  markets.refreshed  opportunities.new  watch.triggered  autopilot.run  config.changed
+
+const fs = require('fs');
+const path = require('path');
+
+const TYPES = ['plan.created', 'order.executed', 'position.cancelled', 'result.recorded', 'result.corrected', 'paused', 'resumed',
+               'breaker.tripped', 'markets.refreshed', 'opportunities.new', 'watch.triggered', 'autopilot.run', 'config.changed'];
+const BUFFER = Number(process.env.BUS_BUFFER || 200);
+const PING_MS = 25000; // keeps proxies from closing an idle stream
+const AUDIT_PATH = path.join(__dirname, 'logs', 'audit.jsonl');
+
+let seq = 0;
+const recent = [];
+const subscribers = new Set();
+const clients = new Set();
+let pinger = null;
+
+/** Register fn(evt) for all events, or only `types`; returns an unsubscribe function. */
+function subscribe(fn, { types } = {}) {
+  const sub = { fn, types: types ? new Set(types) : null };
+  subscribers.add(sub);
+  return () => subscribers.delete(sub);
+}
+
+function publish(type, data = {}, account = null) {
+  if (!TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+  const evt = { id: ++seq, type, ts: new Date().toISOString(), account, data };
+  recent.push(evt);
+  if (recent.length > BUFFER) recent.shift();
+  // a failing subscriber mustn't break the request that published
+  for (const s of subscribers) {
+    if (s.types && !s.types.has(type)) continue;
+    try { s.fn(evt); } catch (e) { console.error(`[bus] subscriber failed on ${type}:`, e.message); }
+  }
+  return evt;
+}
+
+/** Buffered events after `id` (all buffered when id is unknown or from before a restart). */
+function since(id, types) {
+  const n = Number(id);
+  const from = Number.isFinite(n) && n <= seq ? n : 0;
+  return recent.filter(e => e.id > from && (!types || types.has(e.type)));
+}
+
+/** "a,b" -> { types } (null = everything) or { error } for an unknown type. */
+function parseTypes(s) {
+  const list = String(s || '').split(',').map(x => x.trim()).filter(Boolean);
+  const bad = list.filter(t => !TYPES.includes(t));
+  if (bad.length) return { error: `Unknown event type(s) ${bad.join(', ')}. Options: ${TYPES.join(', ')}` };
+  return { types: list.length ? list : null };
+}
+
+const frame = (e) => `id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`;
+
+/**
+ * Turn `res` into an SSE stream. `types` (array) filters, `lastId` replays the buffer after it,
+ * `name` labels the client for hasClient(). The first frame is `ready` with { id, types }.
+ */
+function stream(req, res, { types, lastId, name } = {}) {
+  const only = types && types.length ? new Set(types) : null;
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.write(`retry: 3000\nevent: ready\ndata: ${JSON.stringify({ id: seq, types: only ? [...only] : TYPES })}\n\n`);
+  if (lastId !== undefined && lastId !== null && lastId !== '') since(lastId, only).forEach(e => res.write(frame(e)));
+  const unsubscribe = subscribe(e => res.write(frame(e)), { types: only && [...only] });
+  const client = { res, unsubscribe, name: name || null };
+  clients.add(client);
+  if (!pinger) { pinger = setInterval(() => clients.forEach(c => c.res.write(': ping\n\n')), PING_MS); pinger.unref(); }
+  req.on('close', () => {
+    unsubscribe();
+    clients.delete(client);
+    if (!clients.size) { clearInterval(pinger); pinger = null; }
+  });
+}
+
+const hasClient = (name) => [...clients].some(c => c.name === name);
+
+/** End every open stream (so server.close() can finish). */
+function closeStreams() {
+  clients.forEach(c => { c.unsubscribe(); c.res.end(); });
+  clients.clear();
+}
+
+/** Subscriber: append each event as one JSON line to logs/audit.jsonl. */
+function auditLog(file = AUDIT_PATH) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return subscribe(e => fs.appendFile(file, JSON.stringify(e) + '\n', err => { if (err) console.error('[bus] audit:', err.message); }));
+}
+
+module.exports = { TYPES, AUDIT_PATH, subscribe, publish, since, parseTypes, stream, hasClient, closeStreams, auditLog };
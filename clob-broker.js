@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// clob-broker.js — Polymarket CLOB REST adapter implementing the broker.js interface
+//
+// Credentials come from .env:
+//   CLOB_HOST (default https://clob.polymarket.com; point at clob-mock.js for offline runs)
+//   CLOB_API_KEY, CLOB_SECRET, CLOB_PASSPHRASE, CLOB_ADDRESS   (L2 API credentials)
+//   CLOB_ORDER_TYPE=GTC|FOK, CLOB_FILL_WAIT_MS (how long a GTC order may rest before the remainder is cancelled)
+//
+// EIP-712 signing of the order struct needs the wallet key and is delegated to `signOrder(order)`;
+// without one the order goes out unsigned, which only clob-mock.js accepts.
+
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const ORDER_TYPES = ['GTC', 'FOK'];
+const USDC = 1e6; // collateral and share amounts are 6-decimal integers on the wire
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// L2 header signature: base64url(HMAC-SHA256(base64(secret), ts + method + path + body))
+function l2Signature(secret, ts, method, path, body) {
+  const key = Buffer.from(String(secret).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  return crypto.createHmac('sha256', key).update(`${ts}${method}${path}${body || ''}`).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// CLOB status -> broker.js status
+function mapStatus(o) {
+  const st = String(o.status || '').toUpperCase();
+  const matched = Number(o.size_matched || 0), size = Number(o.original_size || 0);
+  if (st === 'CANCELED' || st === 'CANCELLED') return matched > 0 ? 'PARTIAL' : 'CANCELLED';
+  if (st === 'UNMATCHED') return 'REJECTED';
+  if (matched > 0 && matched < size) return 'PARTIAL';
+  if (st === 'MATCHED' || (size > 0 && matched >= size)) return 'FILLED';
+  return 'OPEN';
+}
+
+class ClobBroker {
+  constructor({ host = process.env.CLOB_HOST || 'https://clob.polymarket.com', apiKey = process.env.CLOB_API_KEY,
+                secret = process.env.CLOB_SECRET, passphrase = process.env.CLOB_PASSPHRASE, address = process.env.CLOB_ADDRESS,
+                orderType = process.env.CLOB_ORDER_TYPE || 'GTC', fillWaitMs = Number(process.env.CLOB_FILL_WAIT_MS || 5000),
+                signOrder = null } = {}) {
+    if (!apiKey || !secret || !passphrase) throw new Error('ClobBroker needs CLOB_API_KEY, CLOB_SECRET and CLOB_PASSPHRASE in .env');
+    if (!ORDER_TYPES.includes(String(orderType).toUpperCase())) throw new Error(`CLOB_ORDER_TYPE must be one of ${ORDER_TYPES.join(', ')}`);
+    Object.assign(this, { host: host.replace(/\/$/, ''), apiKey, secret, passphrase, address: address || '',
+                          orderType: String(orderType).toUpperCase(), fillWaitMs, signOrder });
+    this.meta = new Map(); // orderID -> { marketId, outcome, side, stake } for mapping replies back
+  }
+
+  request(method, path, body) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const ts = Math.floor(Date.now() / 1000);
+    const u = new URL(this.host + path);
+    const headers = {
+      'Content-Type': 'application/json',
+      POLY_ADDRESS: this.address, POLY_API_KEY: this.apiKey, POLY_PASSPHRASE: this.passphrase, POLY_TIMESTAMP: String(ts),
+      POLY_SIGNATURE: l2Signature(this.secret, ts, method, u.pathname, payload)
+    };
+    if (payload) headers['Content-Length'] = Buffer.byteLength(payload);
+    return new Promise((resolve, reject) => {
+      const req = (u.protocol === 'https:' ? https : http).request(u, { method, headers, timeout: 15000 }, res => {
+        let data = ''; res.setEncoding('utf8'); res.on('data', c => data += c);
+        res.on('end', () => {
+          let j; try { j = data ? JSON.parse(data) : {}; } catch (e) { return reject(new Error(`CLOB ${method} ${path}: bad JSON (${res.statusCode})`)); }
+          if (res.statusCode >= 400) return reject(new Error(`CLOB ${method} ${path} ${res.statusCode}: ${j.error || j.errorMsg || data}`));
+          resolve(j);
+        });
+      });
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error(`CLOB ${method} ${path}: timeout`)));
+      req.end(payload);
+    });
+  }
+
+  /** Limit BUY of `stake` USD worth of `tokenId` at `price`. */
+  buildOrder({ tokenId, price, stake }) {
+    const size = Math.floor((stake / price) * 100) / 100; // shares, 2dp
+    const order = {
+      salt: crypto.randomInt(1, 2 ** 31), maker: this.address, signer: this.address,
+      taker: '0x0000000000000000000000000000000000000000', tokenId: String(tokenId),
+      makerAmount: String(Math.round(size * price * USDC)), takerAmount: String(Math.round(size * USDC)),
+      expiration: '0', nonce: '0', feeRateBps: '0', side: 'BUY', signatureType: 0
+    };
+    order.signature = this.signOrder ? this.signOrder(order) : '0x';
+    return { order, size };
+  }
+
+  toOrder(o, meta = this.meta.get(o.id) || {}) {
+    const price = Number(o.price), matched = Number(o.size_matched || 0);
+    return { id: o.id, ts: o.created_at ? new Date(Number(o.created_at) * 1000).toISOString() : new Date().toISOString(),
+             marketId: meta.marketId ?? o.market ?? null, tokenId: o.asset_id, outcome: meta.outcome ?? o.outcome ?? null,
+             side: meta.side ?? null, limitPrice: price, stake: meta.stake ?? round2(Number(o.original_size) * price),
+             filledStake: round2(matched * price), avgPrice: matched > 0 ? price : null, shares: matched,
+             status: mapStatus(o), orderType: o.order_type || null };
+  }
+
+  async placeBet({ marketId, tokenId, outcome, side, price, stake }) {
+    const rejected = (reason) => ({ id: null, ts: new Date().toISOString(), marketId, tokenId, outcome, side, limitPrice: price,
+                                    stake: round2(stake), filledStake: 0, avgPrice: null, shares: 0, status: 'REJECTED', reason });
+    if (!tokenId) return rejected('market has no CLOB token id for this outcome/side');
+    if (!(price > 0 && price < 1)) return rejected(`bad price ${price}`);
+    const { order, size } = this.buildOrder({ tokenId, price, stake });
+    if (size <= 0) return rejected('stake too small for one share');
+
+    const r = await this.request('POST', '/order', { order, owner: this.apiKey, orderType: this.orderType });
+    if (!r.success || !r.orderID) return rejected(r.errorMsg || 'order not accepted');
+    this.meta.set(r.orderID, { marketId, outcome, side, stake: round2(stake) });
+
+    // GTC may rest on the book: poll for fills, then pull whatever is left so betd only books real fills
+    let o = await this.waitForFill(r.orderID, this.orderType === 'GTC' ? this.fillWaitMs : 0);
+    if (o.status === 'OPEN' || (o.status === 'PARTIAL' && o.filledStake < o.stake)) {
+      await this.request('DELETE', '/order', { orderID: r.orderID }).catch(e => console.error('[clob] cancel remainder', e.message));
+      o = await this.getOrder(r.orderID);
+    }
+    return o;
+  }
+
+  /** Poll order status until it is no longer resting or `timeoutMs` elapses. */
+  async waitForFill(id, timeoutMs = 5000, intervalMs = 500) {
+    const until = Date.now() + timeoutMs;
+    for (;;) {
+      const o = await this.getOrder(id);
+      if (!o || o.status !== 'OPEN' || Date.now() >= until) return o;
+      await sleep(intervalMs);
+    }
+  }
+
+  async cancel(id) {
+    await this.request('DELETE', '/order', { orderID: id });
+    return this.getOrder(id);
+  }
+  async getOrder(id) {
+    const o = await this.request('GET', `/data/order/${encodeURIComponent(id)}`).catch(() => null);
+    return o && o.id ? this.toOrder(o) : null;
+  }
+  async listOrders() {
+    const out = [];
+    let cursor = '';
+    do {
+      const r = await this.request('GET', `/data/orders${cursor ? `?next_cursor=${encodeURIComponent(cursor)}` : ''}`);
+      const rows = Array.isArray(r) ? r : (r.data || []);
+      out.push(...rows.map(o => this.toOrder(o)));
+      cursor = Array.isArray(r) ? '' : r.next_cursor;
+    } while (cursor && cursor !== 'LTE=');
+    return out;
+  }
+  async getBalance() {
+    const r = await this.request('GET', '/balance-allowance?asset_type=COLLATERAL&signature_type=0');
+    return { currency: 'USDC', balance: round2(Number(r.balance || 0) / USDC) };
+  }
+}
+
+// Quick checks against CLOB_HOST:
+//   node clob-broker.js balance | orders | order <id> | cancel <id> | buy <tokenId> <price> <stake>
+if (require.main === module) {
+  (async () => {
+    const [cmd, ...a] = process.argv.slice(2);
+    const b = new ClobBroker();
+    let out;
+    if (cmd === 'balance') out = await b.getBalance();
+    else if (cmd === 'orders') out = await b.listOrders();
+    else if (cmd === 'order') out = await b.getOrder(a[0]);
+    else if (cmd === 'cancel') out = await b.cancel(a[0]);
+    else if (cmd === 'buy') out = await b.placeBet({ tokenId: a[0], price: Number(a[1]), stake: Number(a[2]), side: 'YES' });
+    else return console.log('Commands: balance, orders, order <id>, cancel <id>, buy <tokenId> <price> <stake>');
+    console.log(JSON.stringify(out, null, 2));
+  })().catch(e => { console.error('❌ clob error:', e.message); process.exit(1); });
+}
+
+module.exports = { ClobBroker, l2Signature, mapStatus };
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// clob-mock.js — local stand-in for the Polymarket CLOB order endpoints (offline runs of ClobBroker / betd)
+//
+//   node clob-mock.js                       # listens on CLOB_MOCK_PORT (8788; 0 picks a free port)
+//   CLOB_HOST=http://localhost:8788 BROKER=clob node betd.js
+//
+// Orders fill against a flat per-order depth (MOCK_DEPTH shares): FOK fills fully or not at all,
+// GTC fills up to the depth and rests the remainder as LIVE until cancelled.
+// If CLOB_SECRET is set, the L2 HMAC headers are verified the same way the exchange does.
+
+require('dotenv').config();
+const http = require('http');
+const { l2Signature } = require('./clob-broker');
+
+const PORT = Number(process.env.CLOB_MOCK_PORT || 8788);
+const DEPTH = Number(process.env.MOCK_DEPTH || 1000);
+const USDC = 1e6;
+
+const orders = new Map();
+let balance = Number(process.env.MOCK_BALANCE || 1000) * USDC;
+let seq = 0;
+
+function sendJson(res, code, obj) { res.writeHead(code, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(obj)); }
+function readBody(req) {
+  return new Promise(resolve => { let d = ''; req.on('data', c => d += c); req.on('end', () => resolve(d)); });
+}
+function authError(req, path, raw) {
+  const h = req.headers;
+  if (!h.poly_api_key || !h.poly_passphrase || !h.poly_timestamp || !h.poly_signature) return 'missing L2 headers';
+  if (process.env.CLOB_SECRET) {
+    const want = l2Signature(process.env.CLOB_SECRET, h.poly_timestamp, req.method, path, raw);
+    if (want !== h.poly_signature) return 'bad signature';
+  }
+  return null;
+}
+
+function place({ order, orderType = 'GTC' }) {
+  const price = Number(order.makerAmount) / Number(order.takerAmount);
+  const size = Number(order.takerAmount) / USDC;
+  if (!order.tokenId || !(price > 0 && price < 1) || !(size > 0)) return { success: false, errorMsg: 'invalid order' };
+  const type = String(orderType).toUpperCase();
+  const fill = type === 'FOK' ? (size <= DEPTH ? size : 0) : Math.min(size, DEPTH);
+  const cost = Math.round(fill * price * USDC);
+  if (cost > balance) return { success: false, errorMsg: 'not enough balance / allowance' };
+  balance -= cost;
+  const id = `0xmock${(++seq).toString(16).padStart(8, '0')}`;
+  const status = fill >= size ? 'MATCHED' : type === 'FOK' ? 'UNMATCHED' : 'LIVE';
+  orders.set(id, { id, status, market: null, asset_id: order.tokenId, side: order.side, order_type: type,
+                   original_size: String(size), size_matched: String(fill), price: String(Number(price.toFixed(4))),
+                   created_at: Math.floor(Date.now() / 1000) });
+  return { success: true, errorMsg: '', orderID: id, status: status.toLowerCase(),
+           makingAmount: String(cost), takingAmount: String(Math.round(fill * USDC)) };
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const raw = await readBody(req);
+  const err = authError(req, url.pathname, raw);
+  if (err) return sendJson(res, 401, { error: err });
+  let body = {};
+  try { body = raw ? JSON.parse(raw) : {}; } catch { return sendJson(res, 400, { error: 'invalid JSON' }); }
+
+  if (req.method === 'POST' && url.pathname === '/order') return sendJson(res, 200, place(body));
+  if (req.method === 'DELETE' && url.pathname === '/order') {
+    const o = orders.get(body.orderID);
+    if (!o || o.status !== 'LIVE') return sendJson(res, 200, { canceled: [], not_canceled: { [body.orderID]: o ? `order is ${o.status}` : 'not found' } });
+    o.status = 'CANCELED';
+    return sendJson(res, 200, { canceled: [o.id], not_canceled: {} });
+  }
+  if (req.method === 'GET' && url.pathname.startsWith('/data/order/')) {
+    const o = orders.get(decodeURIComponent(url.pathname.slice('/data/order/'.length)));
+    return o ? sendJson(res, 200, o) : sendJson(res, 404, { error: 'order not found' });
+  }
+  if (req.method === 'GET' && url.pathname === '/data/orders') return sendJson(res, 200, { data: [...orders.values()].reverse(), next_cursor: 'LTE=' });
+  if (req.method === 'GET' && url.pathname === '/balance-allowance') return sendJson(res, 200, { balance: String(balance), allowance: String(balance) });
+  sendJson(res, 404, { error: 'not found' });
+});
+
+server.listen(PORT, () => console.log(`[clob-mock] listening on http://localhost:${server.address().port}  (depth ${DEPTH} shares, balance ${balance / USDC})`));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
@@ -0,0 +1,108 @@
+// fills.js — what a stake really buys: average fill over the order book, taker fees and a slippage cap
+//
+// Buying YES walks the outcome's `asks`; buying NO walks the other outcome's asks on a binary, else this outcome's
+// `bids` seen from the other side (1 - price). Markets without ladders in markets.json get a synthetic one: half the
+// market's `liquidity` (USD) spread evenly over BOOK_TICKS ticks of BOOK_TICK from the quote. Without a liquidity
+// figure either, the quote is taken as bottomless (the pre-depth behaviour).
+//
+// state.execution = { feeRate, maxSlippage }:
+//   feeRate      taker fee as a fraction of the stake, paid on top of it (none on markets with feesEnabled:false)
+//   maxSlippage  the stake is cut so its average fill stays within this fraction above the quoted price
+
+const { marketOutcomes } = require('./markets');
+
+const EXECUTION = {
+  feeRate:     { default: Number(process.env.TAKER_FEE_RATE || 0), min: 0, max: 0.2 },
+  maxSlippage: { default: Number(process.env.MAX_SLIPPAGE || 0.02), min: 0, max: 1 }
+};
+const BOOK_TICK = Number(process.env.BOOK_TICK || 0.01);
+const BOOK_TICKS = Number(process.env.BOOK_TICKS || 5);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const floor2 = (n) => Math.floor(n * 100 + 1e-9) / 100;
+const r4 = (n) => Number(n.toFixed(4));
+
+function defaultExecution() { return Object.fromEntries(Object.entries(EXECUTION).map(([k, f]) => [k, f.default])); }
+
+/** Merge + range-check execution settings. Returns { execution } or { error }. */
+function validateExecution(current = {}, patch = {}) {
+  const out = { ...defaultExecution(), ...current };
+  for (const [k, v] of Object.entries(patch || {})) {
+    const f = EXECUTION[k];
+    if (!f) return { error: `Unknown execution setting "${k}". Options: ${Object.keys(EXECUTION).join(', ')}` };
+    const n = Number(v);
+    if (!Number.isFinite(n)) return { error: `${k} must be a number` };
+    if (n < f.min || n > f.max) return { error: `${k} must be within [${f.min}, ${f.max}]` };
+    out[k] = n;
+  }
+  return { execution: out };
+}
+function executionOf(state) {
+  state.execution = validateExecution(state.execution).execution || defaultExecution();
+  return state.execution;
+}
+
+/** Price ladder (cheapest first, size in shares) for buying `bet.side` of `bet.outcome`; null = bottomless at the quote. */
+function bookLevels(m, bet) {
+  const outs = marketOutcomes(m);
+  const o = outs.find(x => x.name === bet.outcome) || outs[0];
+  if (o && bet.side === 'NO') {
+    const other = outs.length === 2 ? outs[1 - outs.indexOf(o)] : null;
+    if (other?.asks) return other.asks;
+    if (o.bids) return o.bids.map(l => ({ price: r4(1 - l.price), size: l.size }));
+  } else if (o?.asks) return o.asks;
+  const liq = Number(m.liquidityNum ?? m.liquidity);
+  if (!(liq > 0) || !(bet.price > 0)) return null;
+  const usd = liq / 2 / BOOK_TICKS;
+  return Array.from({ length: BOOK_TICKS }, (_, i) => Math.min(0.999, bet.price + i * BOOK_TICK))
+    .map(price => ({ price: r4(price), size: usd / price }));
+}
+
+/** Spend up to `stake` USD across `levels` priced at most `limit`: { spent, shares, avgPrice, worstPrice, levels }. */
+function walkBook(levels, stake, limit = Infinity) {
+  let spent = 0, shares = 0, worst = null, n = 0;
+  for (const l of levels) {
+    if (spent >= stake - 1e-9 || l.price > limit) break;
+    const take = Math.min(stake - spent, l.price * l.size);
+    spent += take; shares += take / l.price; worst = l.price; n++;
+  }
+  return { spent, shares, avgPrice: shares ? spent / shares : null, worstPrice: worst, levels: n };
+}
+
+// largest stake whose average fill stays at or under `avg`: whole levels up to it, then part of the next one
+function stakeWithin(levels, avg) {
+  let cost = 0, shares = 0;
+  for (const l of levels) {
+    if (l.price <= avg) { cost += l.price * l.size; shares += l.size; continue; }
+    return cost + l.price * Math.min(l.size, Math.max(0, (avg * shares - cost) / (l.price - avg)));
+  }
+  return cost;
+}
+
+const feeFor = (m, stake, rate) => m?.feesEnabled === false ? 0 : round2(stake * rate);
+
+/**
+ * Cost out `stake` on `bet` ({ outcome, side, price }): average fill, price impact over the quote and fee, with the stake
+ * cut to what the book holds within maxSlippage. `odds` / `effPrice` are net of both, i.e. what the stake really pays.
+ * @returns { stake, requested, avgPrice, worstPrice, impact, levels, fee, feeRate, effPrice, odds, capped: null|'slippage'|'depth', note }
+ */
+function estimateFill(m, bet, stake, execution = defaultExecution()) {
+  const levels = bookLevels(m, bet) || [{ price: bet.price, size: Infinity }];
+  const bound = stakeWithin(levels, bet.price * (1 + execution.maxSlippage));
+  const depth = levels.reduce((a, l) => a + l.price * l.size, 0);
+  const capped = stake > bound + 1e-9 ? (bound < depth ? 'slippage' : 'depth') : null;
+  const fill = walkBook(levels, capped ? floor2(bound) : stake);
+  const filled = round2(fill.spent), avg = fill.avgPrice ?? bet.price;
+  const rate = m?.feesEnabled === false ? 0 : execution.feeRate;
+  const fee = feeFor(m, filled, rate);
+  const effPrice = avg * (1 + rate);
+  const impact = avg / bet.price - 1;
+  const note = [`fill ${filled} avg ${r4(avg)} over ${fill.levels} level${fill.levels === 1 ? '' : 's'} (impact ${impact >= 0 ? '+' : ''}${(impact * 100).toFixed(2)}%)`,
+                fee ? `fee ${fee} (${rate * 100}%)` : execution.feeRate && !rate ? 'no fee (fees disabled on this market)' : null,
+                capped === 'slippage' ? `capped ${round2(stake)}→${filled} at ${execution.maxSlippage * 100}% max slippage` : capped === 'depth' ? `capped ${round2(stake)}→${filled}: book depth` : null]
+    .filter(Boolean).join(', ');
+  return { stake: filled, requested: round2(stake), avgPrice: r4(avg), worstPrice: fill.worstPrice, impact: r4(impact), levels: fill.levels,
+           fee, feeRate: rate, effPrice: r4(effPrice), odds: Number((1 / effPrice).toFixed(3)), capped, note };
+}
+
+module.exports = { EXECUTION, validateExecution, executionOf, bookLevels, walkBook, stakeWithin, estimateFill, feeFor };
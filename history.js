@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// history.js — rolling per-market price history, appended by markets-refresher.js each cycle
+//
+// logs/market_history.json = { v:1, markets: { [marketId]: [[ts, outcome, bid, ask, last, volume, liquidity], …] } }
+// (oldest first). A point is only added when the outcome's prices moved or HISTORY_HEARTBEAT_MIN passed;
+// points older than HISTORY_MAX_HOURS and beyond HISTORY_MAX_POINTS per market are dropped.
+// logs/market_snapshots.json keeps one { ts, count, recorded, ...meta } line per refresh for /intel.
+
+const fs = require('fs');
+const path = require('path');
+const { marketOutcomes } = require('./markets');
+
+const HISTORY_PATH = path.join(__dirname, 'logs', 'market_history.json');
+const SNAP_PATH = path.join(__dirname, 'logs', 'market_snapshots.json');
+
+const MAX_HOURS = Number(process.env.HISTORY_MAX_HOURS || 72);
+const MAX_POINTS = Number(process.env.HISTORY_MAX_POINTS || 500);   // per market, all outcomes
+const HEARTBEAT_MIN = Number(process.env.HISTORY_HEARTBEAT_MIN || 60);
+const MAX_SNAPS = 200;
+
+const num = (x) => { const n = Number(x); return x !== null && x !== '' && Number.isFinite(n) ? Number(n.toFixed(4)) : null; };
+
+let cache = null; // { file, mtimeMs, store } so betd doesn't re-parse the file on every request
+
+function readStore(file = HISTORY_PATH) {
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (cache?.file === file && cache.mtimeMs === mtimeMs) return cache.store;
+    const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!store || typeof store.markets !== 'object') throw new Error('bad store');
+    cache = { file, mtimeMs, store };
+    return store;
+  } catch { return { v: 1, markets: {} }; }
+}
+function writeJson(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Append one refresh worth of prices for every open market, prune, and write both logs.
+ * @returns {{ ts, count, recorded, markets }} recorded = points added this cycle
+ */
+function recordSnapshot(markets, { ts = new Date().toISOString(), meta = {}, file = HISTORY_PATH, snapFile = SNAP_PATH } = {}) {
+  const store = readStore(file);
+  const now = Date.parse(ts);
+  let recorded = 0;
+  for (const m of markets) {
+    if (m.id === undefined || m.closed === true || m.archived === true) continue;
+    const id = String(m.id);
+    const series = store.markets[id] || (store.markets[id] = []);
+    const volume = num(m.volumeNum ?? m.volume), liquidity = num(m.liquidityNum ?? m.liquidity);
+    for (const o of marketOutcomes(m)) {
+      const pt = [ts, o.name, num(o.bestBid), num(o.bestAsk), num(o.lastPrice), volume, liquidity];
+      if (pt[2] === null && pt[3] === null && pt[4] === null) continue;
+      let prev = null;
+      for (let i = series.length - 1; i >= 0; i--) if (series[i][1] === o.name) { prev = series[i]; break; }
+      const same = prev && prev[2] === pt[2] && prev[3] === pt[3] && prev[4] === pt[4];
+      if (same && now - Date.parse(prev[0]) < HEARTBEAT_MIN * 60e3) continue;
+      series.push(pt); recorded++;
+    }
+  }
+  const cutoff = now - MAX_HOURS * 3600e3;
+  for (const [id, series] of Object.entries(store.markets)) {
+    const kept = series.filter(p => Date.parse(p[0]) >= cutoff).slice(-MAX_POINTS);
+    if (kept.length) store.markets[id] = kept; else delete store.markets[id];
+  }
+  writeJson(file, store);
+
+  const snaps = (() => { try { const a = JSON.parse(fs.readFileSync(snapFile, 'utf8')); return Array.isArray(a) ? a : []; } catch { return []; } })();
+  const snap = { ts, count: markets.length, recorded, ...meta };
+  snaps.push(snap);
+  writeJson(snapFile, snaps.slice(-MAX_SNAPS));
+  return { ...snap, markets: Object.keys(store.markets).length };
+}
+
+/**
+ * Stored points for one market, oldest first: [{ ts, outcome, bid, ask, last, volume, liquidity }].
+ * @param {object} opts { since (ISO or ms), until, outcome, limit (latest N) }
+ */
+function marketHistory(marketId, { since, until, outcome, limit, file = HISTORY_PATH } = {}) {
+  const s = since ? Date.parse(since) || Number(since) : -Infinity;
+  const u = until ? Date.parse(until) || Number(until) : Infinity;
+  const o = outcome ? String(outcome).toLowerCase() : null;
+  const pts = (readStore(file).markets[String(marketId)] || [])
+    .filter(p => { const t = Date.parse(p[0]); return t >= s && t <= u && (!o || String(p[1]).toLowerCase() === o); })
+    .map(([ts, name, bid, ask, last, volume, liquidity]) => ({ ts, outcome: name, bid, ask, last, volume, liquidity }));
+  return limit > 0 ? pts.slice(-limit) : pts;
+}
+
+// CLI: node history.js            -> store summary
+//      node history.js <marketId> -> that market's points
+if (require.main === module) {
+  const id = process.argv[2];
+  if (id) console.log(JSON.stringify(marketHistory(id), null, 2));
+  else {
+    const { markets } = readStore();
+    const n = Object.values(markets).reduce((a, s) => a + s.length, 0);
+    console.log(`${Object.keys(markets).length} markets, ${n} points (keep ${MAX_HOURS}h / ${MAX_POINTS} per market)`);
+  }
+}
+
+module.exports = { HISTORY_PATH, SNAP_PATH, readStore, recordSnapshot, marketHistory };
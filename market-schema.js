@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// market-schema.js — one canonical market record for every Gamma / CLOB payload shape
+//
+// Canonical market (schemaVersion 1):
+//   { schemaVersion, source: gamma|clob|clob-book|canonical, id, conditionId, slug, question, description,
+//     category, url, events: [{ id, slug, title, category, negRisk }], negRisk,
+//     tokenIds: [..], outcomes: [{ name, tokenId, bestBid, bestAsk, lastPrice, bids?, asks? }],
+//     endDate, closed, active, archived, resolved: { winner } | { split:true } | null,
+//     volume, volume24hr, liquidity, oneHourPriceChange, oneDayPriceChange, feesEnabled, updatedAt }
+// Prices are probabilities in [0,1]; anything unknown is null. Gamma's JSON-encoded `outcomes`,
+// `outcomePrices` and `clobTokenIds` strings are decoded; its single market-level book is quoted on
+// the first outcome and mirrored onto the second of a binary. CLOB books that carry depth keep it as
+// `bids` (best first) / `asks` (cheapest first) ladders of { price, size (shares) }. Records that can't be trusted are
+// rejected with reasons instead of being passed on half-parsed.
+//
+//   node market-schema.js [file]  -> accepted / rejected summary (tests: test/market-schema.test.js over test/fixtures)
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_FILE = path.join(__dirname, 'markets.json');
+
+function toNum(x) {
+  if (x === null || x === undefined || x === '') return NaN;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : NaN;
+}
+const orNull = (n) => Number.isFinite(n) ? n : null;
+const bool = (x) => x === true || x === 'true';
+const str = (x) => x === null || x === undefined || x === '' ? null : String(x);
+
+// Gamma stores outcomes/outcomePrices as JSON-encoded strings
+function parseList(v) {
+  if (Array.isArray(v)) return v;
+  if (typeof v === 'string') { try { const a = JSON.parse(v); return Array.isArray(a) ? a : []; } catch {} }
+  return [];
+}
+// like parseList, but says when a present value didn't decode
+function decodeList(v, field, reasons) {
+  if (v === undefined || v === null || v === '') return [];
+  const a = parseList(v);
+  if (!Array.isArray(v) && !a.length && String(v).trim() !== '[]') reasons.push(`unparseable ${field}`);
+  return a;
+}
+
+// [{ price, size }] or [[price, size]] -> valid levels sorted best first; null when the payload has none
+function readLevels(v, dir) {
+  if (!Array.isArray(v) || !v.length) return null;
+  const out = v.map(l => Array.isArray(l) ? { price: toNum(l[0]), size: toNum(l[1]) } : { price: toNum(l?.price), size: toNum(l?.size) })
+    .filter(l => l.price > 0 && l.price < 1 && l.size > 0)
+    .sort((a, b) => dir * (a.price - b.price));
+  return out.length ? out : null;
+}
+
+function outcome(name, tokenId, bid, ask, last, book) {
+  const o = { name: String(name), tokenId: str(tokenId), bestBid: toNum(bid), bestAsk: toNum(ask), lastPrice: toNum(last) };
+  const bids = readLevels(book?.bids, -1), asks = readLevels(book?.asks, 1);
+  if (bids) { o.bids = bids; if (!Number.isFinite(o.bestBid)) o.bestBid = bids[0].price; }
+  if (asks) { o.asks = asks; if (!Number.isFinite(o.bestAsk)) o.bestAsk = asks[0].price; }
+  return o;
+}
+
+/**
+ * Outcomes as [{ name, tokenId, bestBid, bestAsk, lastPrice, bids?, asks? }] (NaN when unknown) from whichever payload
+ * shape the market came in, plus the shape's name. Problems go to `reasons` (fatal) / `warnings`.
+ */
+function readOutcomes(m, reasons = [], warnings = []) {
+  const tokens = decodeList(m.clobTokenIds ?? m.tokenIds, 'clobTokenIds', warnings).map(String);
+  const tok = (i) => tokens[i] ?? null;
+
+  // CLOB /markets: tokens [{ token_id, outcome, price, winner }]
+  if (Array.isArray(m.tokens) && m.tokens.length && typeof m.tokens[0] === 'object')
+    return { source: 'clob', outcomes: m.tokens.map(t => outcome(t.outcome || 'Outcome', t.token_id ?? t.tokenId, t.bestBid ?? t.bid, t.bestAsk ?? t.ask, t.price ?? t.lastPrice, t)) };
+  // CLOB variants with binaryOutcomes / orderBooks
+  if (Array.isArray(m.binaryOutcomes) && m.binaryOutcomes.length)
+    return { source: 'clob', outcomes: m.binaryOutcomes.map((o, i) => outcome(o.name || o.outcome || 'Outcome', o.tokenId ?? o.token_id ?? tok(i), o.bestBid ?? o.bid, o.bestAsk ?? o.ask, o.lastPrice ?? o.price ?? o.mid, o)) };
+  if (Array.isArray(m.orderBooks) && m.orderBooks.length)
+    return { source: 'clob-book', outcomes: m.orderBooks.map((o, i) => outcome(o.outcome || o.name || 'Outcome', o.tokenId ?? o.token_id ?? tok(i), o.bestBid ?? o.bid, o.bestAsk ?? o.ask, o.mid ?? o.lastPrice ?? o.price, o)) };
+
+  const names = decodeList(m.outcomes, 'outcomes', reasons);
+  // already outcome objects (canonical, or refresher output from before the schema)
+  if (names.length && typeof names[0] === 'object')
+    return { source: m.schemaVersion ? 'canonical' : 'gamma', outcomes: names.map((o, i) => outcome(o.name || o.outcome || 'Outcome', o.tokenId ?? o.token_id ?? tok(i), o.bestBid ?? o.bid, o.bestAsk ?? o.ask, o.lastPrice ?? o.price ?? o.mid, o)) };
+
+  // Gamma: names + outcomePrices (names are often "[]", meaning a Yes/No binary)
+  const prices = decodeList(m.outcomePrices, 'outcomePrices', reasons).map(toNum);
+  if (!prices.length) return { source: 'gamma', outcomes: [] };
+  if (names.length && names.length !== prices.length) reasons.push(`${names.length} outcome names for ${prices.length} prices`);
+  if (tokens.length && tokens.length !== prices.length) { warnings.push(`${tokens.length} token ids for ${prices.length} outcomes`); tokens.length = 0; }
+  const labels = names.length ? names.map(String) : prices.length === 2 ? ['Yes', 'No'] : prices.map((_, i) => `O${i}`);
+  const outs = prices.map((p, i) => outcome(labels[i] || `O${i}`, tok(i), NaN, NaN, p));
+  // market-level book is quoted on the first outcome; mirror it onto the second for binaries
+  const bid = toNum(m.bestBid), ask = toNum(m.bestAsk);
+  if (outs[0]) { outs[0].bestBid = bid; outs[0].bestAsk = ask; }
+  if (outs.length === 2) { outs[1].bestBid = 1 - ask; outs[1].bestAsk = 1 - bid; }
+  return { source: 'gamma', outcomes: outs };
+}
+
+/**
+ * Final result from closed + final prices: `{ winner }` (priced at 1) or `{ split:true }` (a binary that resolved 50/50,
+ * each share paying 0.5); null while open, awaiting resolution or anything else (e.g. all-zero prices), so nothing settles
+ * on a guess. CLOB `winner` flags win over prices.
+ */
+function resolutionOf(m, outs) {
+  if (!bool(m.closed)) return null;
+  const flagged = Array.isArray(m.tokens) && m.tokens.find(t => t?.winner === true);
+  if (flagged) return { winner: String(flagged.outcome) };
+  if (!outs.length || !outs.every(o => Number.isFinite(o.lastPrice))) return null;
+  const w = outs.find(o => o.lastPrice >= 1 - 1e-4); // 1 up to float dust; 0.99 is still trading, not decided
+  if (w) return { winner: w.name };
+  if (outs.length === 2 && outs.every(o => Math.abs(o.lastPrice - 0.5) < 1e-6)) return { split: true };
+  return null;
+}
+
+function isoOrNull(x) {
+  if (!x) return null;
+  const t = Date.parse(x);
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+/**
+ * One raw record -> { market, warnings[] } or { error, reasons[] }.
+ * Canonical records pass through the same checks, so normalizing is idempotent.
+ */
+function normalizeMarket(m) {
+  const reasons = [], warnings = [];
+  if (!m || typeof m !== 'object' || Array.isArray(m)) return { error: 'not an object', reasons: ['not an object'] };
+  const id = str(m.id ?? m.condition_id ?? m.conditionId);
+  if (!id) reasons.push('missing id');
+
+  const { source, outcomes: outs } = readOutcomes(m, reasons, warnings);
+  if (!outs.length && !reasons.length) reasons.push('no outcomes/prices');
+  for (const o of outs) {
+    for (const k of ['bestBid', 'bestAsk', 'lastPrice']) {
+      const v = o[k];
+      if (Number.isFinite(v) && (v < 0 || v > 1)) reasons.push(`${o.name}.${k} ${v} outside [0,1]`);
+    }
+    if (o.bestBid > o.bestAsk) warnings.push(`${o.name} book crossed (bid ${o.bestBid} > ask ${o.bestAsk})`);
+  }
+  if (new Set(outs.map(o => o.name.toLowerCase())).size !== outs.length) reasons.push('duplicate outcome names');
+  if (reasons.length) return { error: reasons.join('; '), reasons, id };
+
+  const ev = (m.events || []).filter(e => e && typeof e === 'object').map(e => ({
+    id: str(e.id), slug: str(e.slug), title: str(e.title), category: str(e.category),
+    negRisk: bool(e.negRisk) || bool(e.enableNegRisk)
+  }));
+  const slug = str(m.slug ?? m.market_slug);
+  const question = str(m.question ?? m.title ?? m.name);
+  if (!question) warnings.push('missing question');
+  const vol = toNum(m.volumeNum ?? m.volume), liq = toNum(m.liquidityNum ?? m.liquidity);
+  const eventSlug = ev[0]?.slug || slug;
+
+  const market = {
+    schemaVersion: SCHEMA_VERSION,
+    source: m.schemaVersion === SCHEMA_VERSION ? m.source : source,
+    id,
+    conditionId: str(m.conditionId ?? m.condition_id),
+    slug,
+    question,
+    description: str(m.description),
+    category: str(m.category ?? ev[0]?.category),
+    url: str(m.url) || (eventSlug ? `https://polymarket.com/event/${eventSlug}` : null),
+    events: ev,
+    negRisk: bool(m.negRisk) || bool(m.neg_risk) || ev.some(e => e.negRisk),
+    tokenIds: outs.map(o => o.tokenId).filter(Boolean),
+    outcomes: outs.map(o => ({ ...o, bestBid: orNull(o.bestBid), bestAsk: orNull(o.bestAsk), lastPrice: orNull(o.lastPrice) })),
+    endDate: isoOrNull(m.endDate ?? m.endDateIso ?? m.end_date_iso),
+    closed: bool(m.closed),
+    active: m.active === undefined ? !bool(m.closed) : bool(m.active),
+    archived: bool(m.archived),
+    // `void` is what all-zero / even prices used to resolve to; those are re-read
+    resolved: m.schemaVersion === SCHEMA_VERSION && m.resolved !== undefined && !m.resolved?.void ? m.resolved : resolutionOf(m, outs),
+    volume: orNull(vol),
+    volume24hr: orNull(toNum(m.volume24hr)),
+    liquidity: orNull(liq),
+    oneHourPriceChange: orNull(toNum(m.oneHourPriceChange)),
+    oneDayPriceChange: orNull(toNum(m.oneDayPriceChange)),
+    feesEnabled: m.feesEnabled === undefined || m.feesEnabled === null ? null : bool(m.feesEnabled),
+    updatedAt: isoOrNull(m.updatedAt)
+  };
+  return { market, warnings };
+}
+
+/** Normalize a payload's records: { markets, rejects: [{ index, id, reasons }], warnings }. Later duplicates are rejected. */
+function normalizeBatch(list) {
+  const markets = [], rejects = [], seen = new Set();
+  let warnings = 0;
+  (Array.isArray(list) ? list : []).forEach((raw, index) => {
+    const r = normalizeMarket(raw);
+    if (r.error) return rejects.push({ index, id: r.id || null, reasons: r.reasons });
+    if (seen.has(r.market.id)) return rejects.push({ index, id: r.market.id, reasons: ['duplicate id'] });
+    seen.add(r.market.id);
+    warnings += r.warnings.length;
+    markets.push(r.market);
+  });
+  return { markets, rejects, warnings };
+}
+
+// ----- CLI -----
+function readPayload(file) {
+  const j = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(j) ? j : Array.isArray(j?.data) ? j.data : [];
+}
+function summarize(rejects) {
+  const by = {};
+  for (const r of rejects) for (const x of r.reasons) { const k = x.replace(/[-\d.e]+/g, 'N'); by[k] = (by[k] || 0) + 1; }
+  return by;
+}
+
+if (require.main === module) {
+  const file = process.argv[2] || DEFAULT_FILE;
+  const raw = readPayload(file);
+  const { markets, rejects, warnings } = normalizeBatch(raw);
+  console.log(`schema v${SCHEMA_VERSION}: ${markets.length} accepted, ${rejects.length} rejected, ${warnings} warnings (${raw.length} records in ${path.basename(file)})`);
+  Object.entries(summarize(rejects)).forEach(([k, n]) => console.log(`  ${n}  ${k}`));
+}
+
+module.exports = { SCHEMA_VERSION, parseList, toNum, readOutcomes, resolutionOf, normalizeMarket, normalizeBatch };
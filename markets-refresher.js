@@ -1,38 +1,58 @@
 #!/usr/bin/env node
 /**
  * markets-refresher.js
- * Fetch Polymarket markets with embedded outcomes/prices and write markets.json
- * Tries CLOB with outcomes/orderbook, then falls back to Gamma API.
+ * Fetch Polymarket markets, normalize them to the canonical schema (market-schema.js) and write markets.json
+ * Tries CLOB with outcomes/orderbook, then falls back to Gamma API, walking every page of the first that works.
+ * Markets are upserted by id; markets.json (with ts/src) is only rewritten, atomically, when something changed.
+ * Page validators (ETag / Last-Modified) and the last refresh's added/changed/removed ids live in logs/refresh-state.json.
  */
 
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { recordSnapshot } = require('./history');
+const { SCHEMA_VERSION, normalizeBatch } = require('./market-schema');
 
 const OUT = path.join(__dirname, 'markets.json');
+const REJECTS = path.join(__dirname, 'logs', 'market_rejects.json');
+const REFRESH_STATE = path.join(__dirname, 'logs', 'refresh-state.json');
 
 // 150s + jitter by default (when --watch)
 const BASE_SEC = Number(process.env.REFRESH_SEC || 150);
-
-const SOURCES = [
-  // CLOB with binary outcomes included
-  'https://clob.polymarket.com/markets?active=true&limit=1000&withBinaryOutcomes=true',
-  // CLOB with orderbook (some envs)
-  'https://clob.polymarket.com/markets?active=true&limit=1000&withOrderBook=true',
-  // Gamma API fallback
-  'https://gamma-api.polymarket.com/markets?active=true&limit=1000'
-];
-
-function getJSON(url) {
+const PAGE_LIMIT = Number(process.env.REFRESH_PAGE_LIMIT || 500);
+const MAX_PAGES = Number(process.env.REFRESH_MAX_PAGES || 40);
+const CLOB_END_CURSOR = 'LTE='; // CLOB's "no more pages"
+
+// paging: cursor (CLOB next_cursor) or offset (Gamma limit/offset)
+const SOURCES = process.env.REFRESH_SOURCE_URL
+  ? [{ name: 'custom', url: process.env.REFRESH_SOURCE_URL, paging: process.env.REFRESH_SOURCE_PAGING || 'offset' }]
+  : [
+    // CLOB with binary outcomes included
+    { name: 'clob', url: 'https://clob.polymarket.com/markets?active=true&withBinaryOutcomes=true', paging: 'cursor' },
+    // CLOB with orderbook (some envs)
+    { name: 'clob-book', url: 'https://clob.polymarket.com/markets?active=true&withOrderBook=true', paging: 'cursor' },
+    // Gamma API fallback
+    { name: 'gamma', url: 'https://gamma-api.polymarket.com/markets?active=true', paging: 'offset' }
+  ];
+
+/** GET a page, conditionally when we have its validators: { status, json, etag, lastModified } */
+function getPage(url, prev = {}) {
+  const headers = {};
+  if (prev.etag) headers['If-None-Match'] = prev.etag;
+  if (prev.lastModified) headers['If-Modified-Since'] = prev.lastModified;
+  const lib = url.startsWith('http://') ? http : https;
   return new Promise((resolve, reject) => {
-    const req = https.get(url, { timeout: 15000 }, (res) => {
+    const req = lib.get(url, { timeout: 15000, headers }, (res) => {
       let data = '';
       res.setEncoding('utf8');
       res.on('data', (c) => (data += c));
       res.on('end', () => {
+        const meta = { status: res.statusCode, etag: res.headers.etag || null, lastModified: res.headers['last-modified'] || null };
+        if (res.statusCode === 304) return resolve({ ...meta, json: null });
+        if (res.statusCode >= 400) return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
         try {
-          const j = JSON.parse(data);
-          resolve(j);
+          resolve({ ...meta, json: JSON.parse(data) });
         } catch (e) {
           reject(new Error(`parse error for ${url}: ${e.message}`));
         }
@@ -45,100 +65,122 @@ function getJSON(url) {
   });
 }
 
-function toNum(x) {
-  if (typeof x === 'number') return x;
-  if (typeof x === 'string') {
-    const n = Number(x);
-    return Number.isFinite(n) ? n : NaN;
-  }
-  return NaN;
+function readJson(file) { try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return null; } }
+// temp file + rename, so betd never sees a half-written file
+function writeAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
 }
 
-/** Normalize one market into `{ ... , outcomes:[{name, bestBid, bestAsk, lastPrice}] }` */
-function normalizeMarket(m) {
-  const n = { ...m };
-
-  // Case A: CLOB gives binaryOutcomes: [{ name, bestBid, bestAsk, lastPrice }]
-  if (Array.isArray(m.binaryOutcomes)) {
-    n.outcomes = m.binaryOutcomes.map(o => ({
-      name: o.name || o.outcome || 'Outcome',
-      bestBid: toNum(o.bestBid ?? o.bid),
-      bestAsk: toNum(o.bestAsk ?? o.ask),
-      lastPrice: toNum(o.lastPrice ?? o.price ?? o.mid)
-    }));
-    return n;
-  }
-
-  // Case B: CLOB with orderBooks
-  if (Array.isArray(m.orderBooks) && m.orderBooks.length) {
-    n.outcomes = m.orderBooks.map(ob => ({
-      name: ob.outcome || ob.name || 'Outcome',
-      bestBid: toNum(ob.bestBid ?? ob.bid),
-      bestAsk: toNum(ob.bestAsk ?? ob.ask),
-      lastPrice: toNum(ob.mid ?? ob.lastPrice ?? ob.price)
-    }));
-    return n;
+function writeRejects(src, rejects) {
+  try {
+    writeAtomic(REJECTS, JSON.stringify({ ts: new Date().toISOString(), src, count: rejects.length, rejects: rejects.slice(0, 500) }, null, 2));
+  } catch (e) {
+    console.error('[markets-refresher] rejects log error:', e.message);
   }
+}
 
-  // Case C: Gamma API with outcomes/outcomePrices
-  if (Array.isArray(m.outcomePrices) && m.outcomePrices.length >= 2) {
-    const names = Array.isArray(m.outcomes) ? m.outcomes : ['Yes', 'No'];
-    n.outcomes = m.outcomePrices.map((p, i) => {
-      const prob = toNum(p); // 0..1
-      // synthesize bid/ask around lastPrice a tiny bit so we have mid/bounds
-      const last = prob;
-      const spr = 0.01;
-      return {
-        name: names[i] || `O${i}`,
-        bestBid: Math.max(0, Math.min(1, last - spr)),
-        bestAsk: Math.max(0, Math.min(1, last + spr)),
-        lastPrice: last
-      };
-    });
-    return n;
+/**
+ * Walk every page of one source. Pages that answer 304 reuse the ids remembered from last time.
+ * @returns { fetched: Map id->canonical, reused: Set ids, pages: { url: { etag, lastModified, ids, next } }, complete, rejects, raw }
+ */
+async function fetchAll(src, prevPages, known) {
+  const fetched = new Map(), reused = new Set(), pages = {}, rejects = [];
+  let cursor = '', raw = 0;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const url = src.paging === 'cursor'
+      ? `${src.url}${cursor ? `&next_cursor=${encodeURIComponent(cursor)}` : ''}`
+      : `${src.url}&limit=${PAGE_LIMIT}&offset=${page * PAGE_LIMIT}`;
+    let res;
+    try {
+      const prev = prevPages[url];
+      res = await getPage(url, prev);
+      // only trust a 304 if we still hold every market that page had
+      if (res.status === 304 && !prev?.ids?.every(id => known.has(id))) res = await getPage(url);
+      if (res.status === 304) {
+        prev.ids.forEach(id => reused.add(id));
+        pages[url] = prev;
+        if (!prev.next) return { fetched, reused, pages, complete: true, rejects, raw };
+        cursor = prev.next;
+        continue;
+      }
+    } catch (e) {
+      if (page === 0) throw e;
+      console.error(`[markets-refresher] page ${page + 1} failed, keeping the rest from last time: ${e.message}`);
+      return { fetched, reused, pages, complete: false, rejects, raw };
+    }
+    const j = res.json;
+    const arr = Array.isArray(j) ? j : (Array.isArray(j?.data) ? j.data : []);
+    raw += arr.length;
+    // canonical records only (market-schema.js); rejects are kept with their reasons for inspection
+    const b = normalizeBatch(arr);
+    b.rejects.forEach(r => rejects.push({ ...r, page: page + 1 }));
+    b.markets.forEach(m => fetched.set(m.id, m));
+    const next = src.paging === 'cursor'
+      ? (j?.next_cursor && j.next_cursor !== CLOB_END_CURSOR && j.next_cursor !== cursor ? j.next_cursor : null)
+      : (arr.length >= PAGE_LIMIT ? String(page + 1) : null);
+    pages[url] = { etag: res.etag, lastModified: res.lastModified, ids: b.markets.map(m => m.id), next };
+    if (!next) return { fetched, reused, pages, complete: true, rejects, raw };
+    cursor = next;
   }
+  console.warn(`[markets-refresher] stopped after REFRESH_MAX_PAGES=${MAX_PAGES} pages of ${src.name}`);
+  return { fetched, reused, pages, complete: false, rejects, raw };
+}
 
-  // Case D: Already has outcomes array
-  if (Array.isArray(m.outcomes)) {
-    n.outcomes = m.outcomes.map(o => ({
-      name: o.name || o.outcome || 'Outcome',
-      bestBid: toNum(o.bestBid ?? o.bid),
-      bestAsk: toNum(o.bestAsk ?? o.ask),
-      lastPrice: toNum(o.lastPrice ?? o.price ?? o.mid)
-    }));
-    return n;
+/** Upsert this refresh into the previous markets by id: { markets, added, changed, removed } */
+function mergeMarkets(prev, { fetched, reused, complete }) {
+  const next = new Map();
+  const added = [], changed = [];
+  for (const [id, m] of fetched) {
+    const old = prev.get(id);
+    if (!old) added.push(id);
+    else if (JSON.stringify(old) !== JSON.stringify(m)) changed.push(id);
+    next.set(id, m);
   }
-
-  // Fallback: give a synthetic single outcome if we have any 0..1 price on the market
-  const p =
-    toNum(m.lastPrice) || toNum(m.price) || toNum(m.mid) || NaN;
-  if (p > 0 && p < 1) {
-    n.outcomes = [{
-      name: 'Outcome',
-      bestBid: Math.max(0, Math.min(1, p - 0.01)),
-      bestAsk: Math.max(0, Math.min(1, p + 0.01)),
-      lastPrice: p
-    }];
+  for (const id of reused) if (!next.has(id) && prev.has(id)) next.set(id, prev.get(id));
+  // a partial walk can't tell a removed market from one on a page we didn't reach
+  const removed = [];
+  for (const [id, m] of prev) {
+    if (next.has(id)) continue;
+    if (complete) removed.push(id); else next.set(id, m);
   }
-
-  return n;
+  return { markets: [...next.values()], added, changed, removed };
 }
 
 async function fetchOnce() {
-  for (const url of SOURCES) {
+  const file = readJson(OUT);
+  const prevList = normalizeBatch(Array.isArray(file) ? file : Array.isArray(file?.data) ? file.data : []).markets;
+  const prev = new Map(prevList.map(m => [m.id, m]));
+  const state = readJson(REFRESH_STATE) || {};
+
+  for (const src of SOURCES) {
     try {
-      const j = await getJSON(url);
-      const arr = Array.isArray(j) ? j : (Array.isArray(j.data) ? j.data : null);
-      if (!arr || !arr.length) {
-        continue;
+      // page validators only carry over while the file still came from the same source
+      const prevPages = state.src === src.url && file?.src === src.url ? state.pages || {} : {};
+      const r = await fetchAll(src, prevPages, prev);
+      if (!r.fetched.size && !r.reused.size) continue;
+      writeRejects(src.url, r.rejects);
+      if (r.rejects.length) console.warn(`[markets-refresher] rejected ${r.rejects.length}/${r.raw} records (see logs/market_rejects.json)`);
+
+      const sameSrc = file?.src === src.url;
+      const { markets, added, changed, removed } = mergeMarkets(sameSrc ? prev : new Map(), r);
+      const ts = new Date().toISOString();
+      const dirty = !sameSrc || added.length || changed.length || removed.length;
+      if (dirty) {
+        writeAtomic(OUT, JSON.stringify({ schemaVersion: SCHEMA_VERSION, ts, src: src.url, count: markets.length, data: markets }));
+        console.log(`[markets-refresher] wrote ${markets.length} markets (+${added.length} ~${changed.length} -${removed.length}, ${Object.keys(r.pages).length} pages) from ${src.name}`);
+      } else console.log(`[markets-refresher] no changes in ${markets.length} markets from ${src.name}`);
+      const changes = { added: added.length, changed: changed.length, removed: removed.length };
+      writeAtomic(REFRESH_STATE, JSON.stringify({ checkedAt: ts, writtenAt: dirty ? ts : state.writtenAt || null, src: src.url, complete: r.complete, pages: r.pages,
+                                                  last: { ...changes, ids: { added: added.slice(0, 100), changed: changed.slice(0, 100), removed: removed.slice(0, 100) } } }, null, 2));
+      try {
+        const h = recordSnapshot(markets, { ts, meta: { src: src.name, ...changes } });
+        console.log(`[markets-refresher] history +${h.recorded} points (${h.markets} markets tracked)`);
+      } catch (e) {
+        console.error('[markets-refresher] history error:', e.message);
       }
-      const normalized = arr.map(normalizeMarket);
-      const withOutcomes = normalized.filter(x => Array.isArray(x.outcomes) && x.outcomes.length);
-      if (!withOutcomes.length) continue;
-
-      const out = { data: withOutcomes };
-      fs.writeFileSync(OUT, JSON.stringify(out, null, 2));
-      console.log(`[markets-refresher] wrote ${withOutcomes.length} markets (active≈${withOutcomes.filter(m => m.active ?? true).length}) from ${url}`);
       return true;
     } catch (e) {
       console.error('[markets-refresher] source error:', e.message);
@@ -0,0 +1,91 @@
+// markets.js — market lookup + live outcome quotes from markets.json
+
+const fs = require('fs');
+const path = require('path');
+const { parseList, readOutcomes, resolutionOf, normalizeBatch } = require('./market-schema');
+
+const MARKETS_PATH = path.join(__dirname, 'markets.json');
+const SIDES = ['YES', 'NO'];
+
+let cache = null; // { file, mtimeMs, markets, rejects }: findMarket reads on every lookup
+
+/** Markets from markets.json as canonical records (see market-schema.js) plus the records rejected on the way. */
+function loadMarkets(file = MARKETS_PATH) {
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (cache?.file === file && cache.mtimeMs === mtimeMs) return cache;
+    const j = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const { markets, rejects } = normalizeBatch(Array.isArray(j) ? j : Array.isArray(j?.data) ? j.data : []);
+    cache = { file, mtimeMs, markets, rejects };
+    return cache;
+  } catch { return { markets: [], rejects: [] }; }
+}
+function readMarkets(file = MARKETS_PATH) { return loadMarkets(file).markets; }
+
+/** Find a market by id, conditionId or slug. */
+function findMarket(id, markets = readMarkets()) {
+  const k = String(id || '').trim().toLowerCase();
+  if (!k) return null;
+  return markets.find(m =>
+    String(m.id ?? '').toLowerCase() === k ||
+    String(m.conditionId ?? '').toLowerCase() === k ||
+    String(m.slug ?? '').toLowerCase() === k) || null;
+}
+
+function marketUrl(m) {
+  if (m.url) return m.url;
+  const slug = m.events?.[0]?.slug || m.slug;
+  return slug ? `https://polymarket.com/event/${slug}` : null;
+}
+
+/** Outcomes as [{ name, tokenId, bestBid, bestAsk, lastPrice }] (NaN when unknown), canonical or raw payload. */
+function marketOutcomes(m) {
+  return readOutcomes(m).outcomes;
+}
+
+const inUnit = (p) => Number.isFinite(p) && p > 0 && p < 1;
+
+/**
+ * Live entry price for buying `side` of `outcome` (defaults to the first outcome).
+ * YES pays the ask, NO pays 1 - bid; falls back to the last price when the book is empty.
+ * @returns {{ outcome, side, tokenId, price, odds }|{ error }}
+ */
+function quoteOutcome(m, outcome, side = 'YES') {
+  const s = String(side || 'YES').toUpperCase();
+  if (!SIDES.includes(s)) return { error: 'side must be "YES" or "NO"' };
+  const outs = marketOutcomes(m);
+  if (!outs.length) return { error: `No outcomes/prices for market ${m.id}` };
+  const o = outcome
+    ? outs.find(x => x.name.toLowerCase() === String(outcome).trim().toLowerCase())
+    : outs[0];
+  if (!o) return { error: `Unknown outcome "${outcome}". Options: ${outs.map(x => x.name).join(', ')}` };
+
+  let price = s === 'YES' ? o.bestAsk : 1 - o.bestBid;
+  if (!inUnit(price)) price = s === 'YES' ? o.lastPrice : 1 - o.lastPrice;
+  if (!inUnit(price)) return { error: `No live price for ${o.name}/${s}` };
+  // NO on a binary outcome is bought as the other outcome's token
+  const tokenId = s === 'YES' ? o.tokenId : (outs.length === 2 ? outs[1 - outs.indexOf(o)].tokenId : null);
+  return { outcome: o.name, side: s, tokenId: tokenId || null, price: Number(price.toFixed(4)), odds: Number((1 / price).toFixed(3)) };
+}
+
+/**
+ * Final result of a closed market: `{ winner }` (outcome name) or `{ split:true }` when a binary resolved 50/50
+ * (0.5 per share). Null while open, awaiting resolution or without a clear result (see market-schema resolutionOf).
+ */
+function marketResolution(m) {
+  if (m.schemaVersion && !m.resolved?.void) return m.resolved || null;
+  return resolutionOf(m, marketOutcomes(m));
+}
+
+/** Compact description of a market for the ledger. */
+function marketRef(m) {
+  return {
+    marketId: String(m.id ?? ''),
+    conditionId: m.conditionId || null,
+    question: m.question || m.title || m.name || '(untitled)',
+    url: marketUrl(m),
+    category: m.category || m.events?.[0]?.category || null
+  };
+}
+
+module.exports = { MARKETS_PATH, SIDES, loadMarkets, readMarkets, parseList, findMarket, marketUrl, marketOutcomes, quoteOutcome, marketResolution, marketRef };
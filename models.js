@@ -0,0 +1,97 @@
+// models.js — pluggable probability models: market + outcome -> our estimate of the true probability
+//
+// estimate(name, market, outcome, ctx) -> { model, prob, confidence, notes[] } | { model, error }
+// `prob` is for the named outcome resolving YES; `confidence` in [0,1] shrinks the edge toward zero.
+// ctx: { overrides (state.model.overrides), history(marketId) -> [{ ts, outcome, bid, ask, last }] }
+
+const { marketOutcomes } = require('./markets');
+
+const MID_LAST_WEIGHT = 0.5;   // how far from mid toward the last trade we lean
+const MID_MAX_SPREAD = 0.10;   // spreads this wide (or wider) get minimum confidence
+const DRIFT_LOOKBACK_H = 6;    // history window for the drift fit
+const DRIFT_HORIZON_H = 1;     // project the fitted drift this far ahead
+const DRIFT_MIN_POINTS = 3;
+
+const clamp = (x, a, b) => Math.min(b, Math.max(a, x));
+const inUnit = (p) => Number.isFinite(p) && p > 0 && p < 1;
+
+function pickOutcome(m, outcome) {
+  const outs = marketOutcomes(m);
+  const o = outcome ? outs.find(x => x.name.toLowerCase() === String(outcome).toLowerCase()) : outs[0];
+  return { outs, o, idx: o ? outs.indexOf(o) : -1 };
+}
+
+const MODELS = {
+  manual: {
+    description: 'Operator-entered probability per market/outcome',
+    estimate(m, outcome, { overrides = {} }) {
+      const ov = overrides[String(m.id)];
+      const { o } = pickOutcome(m, outcome);
+      const e = ov && (ov[o?.name] || ov['*']);
+      if (!e) return { error: `no manual estimate for market ${m.id}` };
+      return { prob: e.prob, confidence: e.confidence ?? 1, notes: [`manual p=${e.prob}${e.note ? ` (${e.note})` : ''}`] };
+    }
+  },
+
+  'mid-vs-last': {
+    description: 'Bid/ask mid nudged toward the last trade; tighter spread = more confidence',
+    estimate(m, outcome) {
+      const { o } = pickOutcome(m, outcome);
+      if (!o) return { error: `unknown outcome ${outcome}` };
+      if (!inUnit(o.bestBid) || !inUnit(o.bestAsk) || o.bestAsk < o.bestBid) return { error: 'no two-sided book' };
+      const mid = (o.bestBid + o.bestAsk) / 2;
+      const spread = o.bestAsk - o.bestBid;
+      const prob = inUnit(o.lastPrice) ? mid + MID_LAST_WEIGHT * (o.lastPrice - mid) : mid;
+      const confidence = clamp(1 - spread / MID_MAX_SPREAD, 0.1, 1);
+      return { prob, confidence, notes: [`mid=${mid.toFixed(3)} last=${inUnit(o.lastPrice) ? o.lastPrice.toFixed(3) : '—'} spread=${spread.toFixed(3)}`] };
+    }
+  },
+
+  drift: {
+    description: 'Recent price drift from stored snapshots, projected forward (falls back to the feed\'s 1h change)',
+    estimate(m, outcome, { history }) {
+      const { outs, o, idx } = pickOutcome(m, outcome);
+      if (!o) return { error: `unknown outcome ${outcome}` };
+      const since = Date.now() - DRIFT_LOOKBACK_H * 3600e3;
+      const pts = (history ? history(String(m.id)) : [])
+        .filter(h => h.outcome === o.name && inUnit(h.last) && Date.parse(h.ts) >= since)
+        .map(h => ({ t: Date.parse(h.ts) / 3600e3, p: h.last }));
+      if (pts.length >= DRIFT_MIN_POINTS) {
+        // least-squares slope in probability per hour
+        const n = pts.length, mt = pts.reduce((a, x) => a + x.t, 0) / n, mp = pts.reduce((a, x) => a + x.p, 0) / n;
+        const slope = pts.reduce((a, x) => a + (x.t - mt) * (x.p - mp), 0) / (pts.reduce((a, x) => a + (x.t - mt) ** 2, 0) || 1);
+        const last = pts[pts.length - 1].p;
+        return { prob: last + slope * DRIFT_HORIZON_H, confidence: clamp(n / 12, 0.2, 0.8),
+                 notes: [`drift ${slope >= 0 ? '+' : ''}${slope.toFixed(4)}/h over ${n} pts`] };
+      }
+      // Gamma's oneHourPriceChange is quoted on the first outcome
+      const ch = Number(m.oneHourPriceChange);
+      if (!Number.isFinite(ch) || !inUnit(o.lastPrice) || (idx > 0 && outs.length !== 2)) return { error: 'not enough price history' };
+      const slope = idx === 0 ? ch : -ch;
+      return { prob: o.lastPrice + slope * DRIFT_HORIZON_H, confidence: 0.3, notes: [`feed 1h change ${slope >= 0 ? '+' : ''}${slope}`] };
+    }
+  }
+};
+
+function estimate(name, m, outcome, ctx = {}) {
+  const model = MODELS[name];
+  if (!model) return { model: name, error: `Unknown model "${name}". Options: ${Object.keys(MODELS).join(', ')}` };
+  const r = model.estimate(m, outcome, ctx);
+  if (r.error) return { model: name, error: r.error };
+  return { model: name, prob: Number(clamp(r.prob, 0.01, 0.99).toFixed(4)), confidence: Number(clamp(r.confidence, 0, 1).toFixed(2)), notes: r.notes || [] };
+}
+
+/**
+ * Edge for buying `side` at `price` given an estimate: confidence * (p_side - price).
+ * @returns {number}
+ */
+function edgeFor(est, side, price) {
+  const p = side === 'NO' ? 1 - est.prob : est.prob;
+  return Number((est.confidence * (p - price)).toFixed(4));
+}
+
+function describeModels() {
+  return Object.entries(MODELS).map(([name, x]) => ({ name, description: x.description }));
+}
+
+module.exports = { MODELS, estimate, edgeFor, describeModels };
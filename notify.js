@@ -0,0 +1,22 @@
+// notify.js — push plain-text messages to Telegram from the daemon (Bot API sendMessage)
+require('dotenv').config();
+const https = require('https');
+
+const TOKEN = process.env.BOT_TOKEN;
+const CHAT_ID = process.env.TELEGRAM_CHAT_ID;
+
+/** Fire-and-forget; resolves false when Telegram isn't configured or the call fails. */
+function notify(text) {
+  if (!TOKEN || !CHAT_ID) return Promise.resolve(false);
+  const body = JSON.stringify({ chat_id: CHAT_ID, text, disable_web_page_preview: true });
+  return new Promise(resolve => {
+    const req = https.request(`https://api.telegram.org/bot${TOKEN}/sendMessage`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }, timeout: 10000
+    }, res => { res.resume(); res.on('end', () => resolve(res.statusCode === 200)); });
+    req.on('error', e => { console.error('[notify]', e.message); resolve(false); });
+    req.on('timeout', () => req.destroy(new Error('telegram timeout')));
+    req.end(body);
+  });
+}
+
+module.exports = { notify };
@@ -1,12 +1,11 @@
 #!/usr/bin/env node
-const fs = require('fs');
-const path = require('path');
-
-const STATE_FILE = path.join(process.cwd(), 'poly-state.json');
+// poly-bet.js — CLI over the shared poly-state.json (same format and strategies as betd)
+const { loadState, saveState, freshState, bookResult } = require('./state');
+const { planStake, validateStrategy, describeStrategies } = require('./staking-policy');
+const { acknowledge } = require('./risk');
+const { DEFAULT_ACCOUNT, accountPath, listAccounts, createAccount } = require('./accounts');
 
 function nowISO() { return new Date().toISOString(); }
-function loadState() { if (!fs.existsSync(STATE_FILE)) return null; return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')); }
-function saveState(s) { fs.writeFileSync(STATE_FILE, JSON.stringify(s, null, 2)); }
 function parseArgs(argv) {
   const a = { _: [] };
   for (let i = 0; i < argv.length; i++) {
@@ -20,119 +19,86 @@ function parseArgs(argv) {
   return a;
 }
 function toNum(x, d) { if (x === undefined) return d; const n = Number(x); return Number.isNaN(n) ? d : n; }
-
-function defaultConfig() {
-  return {
-    bankroll: 1000, baseKelly: 0.07, odds: 1.9, window: 5,
-    aggression: { "0": 0.5, "1": 0.5, "2": 0.5, "3": 1.0, "4": 1.25, "5": 1.5 },
-    maxFraction: 0.13, minFraction: 0.02,
-    hotBonusOnPureStreak: 1.75, drawdownPause: 0.15, dailyExposureCap: 0.20, currency: 'USD'
-  };
-}
-function dayKey(d) { return d.toISOString().slice(0, 10); }
-function freshState() {
-  const cfg = defaultConfig();
-  return {
-    createdAt: nowISO(),
-    config: cfg,
-    bankroll: cfg.bankroll,
-    highWater: cfg.bankroll,
-    paused: false, pauseReason: null,
-    exposureToday: 0, exposureDayAnchor: dayKey(new Date()),
-    results: [], pendingStake: null
-  };
-}
-function ensureDayExposureBucket(s) {
-  const k = dayKey(new Date());
-  if (s.exposureDayAnchor !== k) { s.exposureDayAnchor = k; s.exposureToday = 0; }
-}
-function recentWins(s, n) { return s.results.slice(0, n).filter(r => r.result === 'W').length; }
-
-function planStake(s, { odds } = {}) {
-  if (s.paused) return { paused: true, reason: s.pauseReason };
-  ensureDayExposureBucket(s);
-  const c = s.config;
-  const wins = recentWins(s, c.window);
-  const mult = c.aggression[String(Math.min(wins, c.window))] ?? 1.0;
-  const pure = wins === c.window;
-  const hot = pure ? c.hotBonusOnPureStreak : 1;
-  let frac = c.baseKelly * mult * hot;
-  frac = Math.min(c.maxFraction, Math.max(c.minFraction, frac));
-
-  const dayStart = s.highWater ? Math.min(s.highWater, s.bankroll / (1 - c.drawdownPause)) : s.bankroll;
-  const cap = dayStart * c.dailyExposureCap;
-  const remain = Math.max(0, cap - s.exposureToday);
-
-  let stake = s.bankroll * frac;
-  if (stake > remain) {
-    if (remain <= 0) return { paused: true, reason: 'Daily exposure cap hit.' };
-    stake = remain;
-  }
-  stake = Math.round(stake * 100) / 100;
-  return { paused: false, stake, fraction: stake / s.bankroll, winsInWindow: wins, pureStreak: pure, odds: odds || c.odds, appliedMultiplier: (mult * hot).toFixed(2) };
-}
+// key=value pairs -> config object (values stay strings; validateStrategy coerces them)
+function kv(list) { return Object.fromEntries(list.map(x => x.split('=')).filter(p => p.length === 2)); }
 
 function applyResult(s, result, odds) {
-  if (s.paused) return s;
-  const plan = s.pendingStake || planStake(s, { odds });
-  if (plan.paused) return s;
-  const o = Number.isFinite(odds) ? odds : s.config.odds;
-  const pnl = (result === 'W') ? plan.stake * (o - 1) : -plan.stake;
-
-  s.exposureToday += plan.stake;
-  s.bankroll = Math.round((s.bankroll + pnl) * 100) / 100;
-  s.highWater = Math.max(s.highWater, s.bankroll);
-  s.results.unshift({ ts: nowISO(), result, stake: plan.stake, odds: o, pnl: Math.round(pnl * 100) / 100, bankrollAfter: s.bankroll });
-  s.pendingStake = null;
-
-  const dd = (s.highWater - s.bankroll) / s.highWater;
-  if (dd >= s.config.drawdownPause) { s.paused = true; s.pauseReason = `Drawdown ${Math.round(dd * 100)}%`; }
+  // settles the only open position, else the CLI's planned bet, else an unlinked bet at --odds
+  const pos = s.positions.length === 1 ? s.positions[0] : null;
+  if (!pos && s.positions.length > 1) { console.error(`${s.positions.length} open positions; settle them through betd (/result positionId).`); return s; }
+  const bet = pos || s.planned;
+  const o = Number.isFinite(odds) ? odds : Number(bet?.odds);
+  if (!Number.isFinite(o)) { console.error('No odds: pass --odds or plan first.'); return s; }
+  const stake = Number(bet?.stake) || planStake(s, { odds: o }).stake;
+  if (!stake) { console.error('Nothing to settle (strategy refused to stake).'); return s; }
+  bookResult(s, pos, result, { odds: o, stake, settledBy: 'manual', source: 'cli', note: 'poly-bet CLI' });
+  if (!pos) s.planned = null;
   return s;
 }
 
 function printPlan(p, c) {
   if (p.paused) return console.log(`⏸️  ${p.reason}`);
-  console.log(`Stake: ${c} ${p.stake} (${(p.fraction * 100).toFixed(2)}%)  Odds ${p.odds}  x${p.appliedMultiplier}`);
+  console.log(`Stake: ${c} ${p.stake} (${(p.fraction * 100).toFixed(2)}%)  Odds ${p.odds}  x${p.appliedMultiplier}  [${p.notes.join(' | ')}]`);
 }
 function status(s) {
-  const c = s.config;
-  const w = s.results.filter(r => r.result === 'W').length;
-  const l = s.results.filter(r => r.result === 'L').length;
+  const { wins: w, losses: l } = s.stats;
   const t = w + l;
   const wr = t ? (w / t) : 0;
-  console.log(`Bankroll ${c.currency} ${s.bankroll} | HWM ${s.highWater} | WR ${(wr * 100).toFixed(2)}%`);
+  console.log(`Bankroll ${s.currency} ${s.bankroll} | HWM ${s.highWater} | WR ${(wr * 100).toFixed(2)}% | strategy ${s.strategy.name} | open ${s.positions.length}`);
   if (s.paused) console.log(`⏸️  ${s.pauseReason}`);
 }
 
 (async () => {
   const [cmd, ...rest] = process.argv.slice(2);
   const a = parseArgs(rest);
-  if (!cmd) return console.log('Commands: init, plan, win, loss, status, reset, resume');
+  if (!cmd) return console.log('Commands: init, plan, win, loss, status, strategy, reset, resume  (--account <name>, default main)');
+  const account = String(a.account || DEFAULT_ACCOUNT);
+  const file = accountPath(account);
 
   if (cmd === 'init') {
-    const s = freshState();
-    s.config.baseKelly = toNum(a.baseKelly, 0.07);
-    s.config.odds = toNum(a.odds, 1.9);
-    s.bankroll = toNum(a.bankroll, 1000);
-    s.highWater = s.bankroll;
-    saveState(s);
-    return console.log('✅ Initialized bankroll', s.bankroll);
+    const bankroll = toNum(a.bankroll, 1000);
+    const v = validateStrategy(a.strategy || 'kelly', kv(a._));
+    if (v.error) return console.error(v.error);
+    if (account !== DEFAULT_ACCOUNT) {
+      const out = createAccount({ name: account, bankroll, strategy: v });
+      return out.error ? console.error(out.error) : console.log(`✅ Created account ${out.name} with bankroll`, bankroll, 'and', v.name);
+    }
+    saveState(freshState({ bankroll, highWater: bankroll, strategy: v, createdAt: nowISO() }), file);
+    return console.log('✅ Initialized bankroll', bankroll, 'with', v.name);
   }
+  if (!listAccounts().includes(account)) return console.error(`Unknown account "${account}". Accounts: ${listAccounts().join(', ')}`);
 
-  let s = loadState();
-  if (!s) return console.error('No state. Run init first.');
+  let s = loadState(file);
 
   switch (cmd) {
     case 'plan': {
-      const p = planStake(s, { odds: toNum(a.odds) });
-      printPlan(p, s.config.currency);
-      if (!p.paused) s.pendingStake = p;
-      saveState(s); break;
+      const odds = toNum(a.odds, (s.oddsBand.min + s.oddsBand.max) / 2);
+      const p = planStake(s, { odds });
+      printPlan({ ...p, odds }, s.currency);
+      if (!p.paused) { s.planned = { ...p, odds, at: nowISO() }; saveState(s, file); }
+      break;
     }
-    case 'win': s = applyResult(s, 'W', toNum(a.odds)); saveState(s); status(s); break;
-    case 'loss': s = applyResult(s, 'L', toNum(a.odds)); saveState(s); status(s); break;
+    case 'win': s = applyResult(s, 'W', toNum(a.odds)); saveState(s, file); status(s); break;
+    case 'loss': s = applyResult(s, 'L', toNum(a.odds)); saveState(s, file); status(s); break;
     case 'status': status(s); break;
-    case 'resume': s.paused = false; s.pauseReason = null; saveState(s); console.log('▶️ resumed'); break;
-    case 'reset': saveState(freshState()); console.log('🔄 reset'); break;
+    case 'strategy': {
+      // strategy                      -> list
+      // strategy <name> [key=value…]  -> switch (unset keys take defaults)
+      if (!a._.length) {
+        console.log(`Active: ${s.strategy.name} ${JSON.stringify(validateStrategy(s.strategy.name, s.strategy.config).config)}`);
+        for (const d of describeStrategies()) console.log(`  ${d.name} — ${d.description}\n    ${Object.keys(d.schema).join(', ')}`);
+        break;
+      }
+      const v = validateStrategy(a._[0], kv(a._.slice(1)));
+      if (v.error) { console.error(v.error); break; }
+      s.strategy = v; saveState(s, file); console.log(`✅ strategy ${v.name} ${JSON.stringify(v.config)}`); break;
+    }
+    case 'resume': {
+      // a tripped breaker needs: resume --ack [--note "why"]
+      const r = acknowledge(s, { ack: a.ack === true || a.ack === 'true', note: a.note, by: 'cli' });
+      if (r.error) { console.error(`🛑 ${r.error.replace('ack:true', '--ack')}`); break; }
+      s.paused = false; s.pauseReason = ''; saveState(s, file); console.log('▶️ resumed'); break;
+    }
+    case 'reset': { const bankroll = toNum(a.bankroll, 1000); saveState(freshState({ bankroll, highWater: bankroll, createdAt: nowISO() }), file); console.log('🔄 reset'); break; }
   }
-})();
+})().catch(e => { console.error(`❌ ${e.message}`); process.exit(1); }); // e.g. betd holds the state lock
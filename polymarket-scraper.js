@@ -5,19 +5,7 @@
 //   node polymarket-scraper.js "" 1.3 3.5
 //   node polymarket-scraper.js "" 1.01 100  (wide band sanity)
 
-const fs = require('fs');
-const path = require('path');
-
-const FILE = path.join(__dirname, 'markets.json');
-
-function readMarkets() {
-  const raw = fs.readFileSync(FILE, 'utf8');
-  const j = JSON.parse(raw);
-  if (Array.isArray(j)) return j;
-  if (Array.isArray(j.data)) return j.data;
-  for (const v of Object.values(j || {})) if (Array.isArray(v)) return v;
-  return [];
-}
+const { readMarkets, marketOutcomes } = require('./markets'); // canonical records (market-schema.js)
 
 const lc = (s) => (s || '').toString().toLowerCase();
 function toNum(x) {
@@ -75,7 +63,7 @@ function outcomeProb(o) {
 }
 
 function marketCandidates(m) {
-  const outcomes = Array.isArray(m.outcomes) ? m.outcomes : [];
+  const outcomes = marketOutcomes(m); // handles Gamma's stringified outcomes/outcomePrices too
   const liq = toNum(m.liquidityNum || m.openInterest || m.liquidity || 0) || 0;
   const title = m.question || m.title || m.name || '(untitled)';
   const url = m.url || m.link ||
@@ -181,4 +169,4 @@ if (require.main === module) {
   }
 }
 
-module.exports = { search };
+module.exports = { search, makeQueryRegex, textOf };
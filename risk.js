@@ -0,0 +1,112 @@
+// risk.js — daemon-wide risk limits and circuit breakers (state.risk = { limits, breaker, ack })
+//
+// Breakers (drawdown from high-water, daily loss, daily exposure used up) pause betd and stay tripped
+// until an operator resumes with an explicit acknowledgment. Acking suppresses that same breaker for
+// the rest of the UTC day. Per-request limits (a stake that would overrun today's exposure, too many
+// open positions) only reject the request.
+
+const LIMITS = {
+  maxDrawdownPct:      { type: 'number', default: 0.15, min: 0, max: 1 },  // (highWater - bankroll) / highWater
+  maxDailyLossPct:     { type: 'number', default: 0.10, min: 0, max: 1 },  // realized loss today / start-of-day bankroll
+  maxDailyExposurePct: { type: 'number', default: 0.20, min: 0, max: 10 }, // stake opened today / bankroll
+  maxOpenPositions:    { type: 'integer', default: 10, min: 0, max: 1000 }
+};
+
+const dayKey = (ts) => String(ts || '').slice(0, 10);
+const today = () => dayKey(new Date().toISOString());
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+function defaultLimits() { return Object.fromEntries(Object.entries(LIMITS).map(([k, f]) => [k, f.default])); }
+
+/** Merge + range-check limit overrides. Returns { limits } or { error }. */
+function validateLimits(current = {}, patch = {}) {
+  const out = { ...defaultLimits(), ...current };
+  for (const [k, v] of Object.entries(patch || {})) {
+    const f = LIMITS[k];
+    if (!f) return { error: `Unknown risk limit "${k}". Options: ${Object.keys(LIMITS).join(', ')}` };
+    const n = Number(v);
+    if (!Number.isFinite(n) || (f.type === 'integer' && !Number.isInteger(n))) return { error: `${k} must be ${f.type === 'integer' ? 'an integer' : 'a number'}` };
+    if (n < f.min || n > f.max) return { error: `${k} must be within [${f.min}, ${f.max}]` };
+    out[k] = n;
+  }
+  return { limits: out };
+}
+
+function riskState(state) {
+  if (!state.risk) state.risk = {};
+  state.risk.limits = validateLimits(state.risk.limits).limits || defaultLimits();
+  state.risk.breaker = state.risk.breaker || null;
+  state.risk.ack = state.risk.ack || null;
+  return state.risk;
+}
+
+// Stake opened today across open positions and settled bets (voids refunded, so excluded).
+function exposureToday(state) {
+  const d = today();
+  return [...(state.positions || []), ...(state.results || [])]
+    .filter(x => dayKey(x.openedAt || x.ts) === d && x.result !== 'V')
+    .reduce((a, x) => a + (Number(x.stake) || 0), 0);
+}
+
+/** Current readings against each limit. */
+function riskUsage(state) {
+  const d = today();
+  const pnlToday = (state.results || []).filter(r => dayKey(r.settledAt || r.ts) === d).reduce((a, r) => a + (Number(r.pnl) || 0), 0);
+  const dayStart = state.bankroll - pnlToday;
+  return {
+    drawdownPct: state.highWater > 0 ? Math.max(0, (state.highWater - state.bankroll) / state.highWater) : 0,
+    dailyLossPct: dayStart > 0 ? Math.max(0, -pnlToday) / dayStart : 0,
+    dailyExposurePct: state.bankroll > 0 ? exposureToday(state) / state.bankroll : 0,
+    exposureToday: Number(exposureToday(state).toFixed(2)),
+    openPositions: (state.positions || []).length
+  };
+}
+
+/** First breaker condition currently met (ignoring one acked today), or null. */
+function checkBreakers(state) {
+  const { limits, ack } = riskState(state);
+  const u = riskUsage(state);
+  const hits = [
+    u.drawdownPct >= limits.maxDrawdownPct &&
+      { code: 'max_drawdown', value: u.drawdownPct, limit: limits.maxDrawdownPct, message: `Drawdown ${pct(u.drawdownPct)} from high-water ${state.highWater} (limit ${pct(limits.maxDrawdownPct)})` },
+    u.dailyLossPct >= limits.maxDailyLossPct &&
+      { code: 'max_daily_loss', value: u.dailyLossPct, limit: limits.maxDailyLossPct, message: `Daily loss ${pct(u.dailyLossPct)} (limit ${pct(limits.maxDailyLossPct)})` },
+    u.dailyExposurePct >= limits.maxDailyExposurePct &&
+      { code: 'max_daily_exposure', value: u.dailyExposurePct, limit: limits.maxDailyExposurePct, message: `Daily exposure ${pct(u.dailyExposurePct)} used up (limit ${pct(limits.maxDailyExposurePct)})` }
+  ].filter(Boolean);
+  return hits.find(h => !(ack && ack.code === h.code && ack.day === today())) || null;
+}
+
+/** Would opening `stake` more break a per-request limit? Returns { code, message } or null. */
+function checkOrder(state, stake) {
+  const { limits } = riskState(state);
+  const u = riskUsage(state);
+  if (u.openPositions >= limits.maxOpenPositions)
+    return { code: 'max_open_positions', value: u.openPositions, limit: limits.maxOpenPositions, message: `${u.openPositions} open positions (limit ${limits.maxOpenPositions})` };
+  const cap = state.bankroll * limits.maxDailyExposurePct;
+  if (stake > 0 && u.exposureToday + stake > cap + 1e-9)
+    return { code: 'max_daily_exposure', value: (u.exposureToday + stake) / state.bankroll, limit: limits.maxDailyExposurePct,
+             message: `Stake ${stake} would take today's exposure to ${(u.exposureToday + stake).toFixed(2)} (cap ${cap.toFixed(2)})` };
+  return null;
+}
+
+/** Pause on `breach`; returns the breaker record. Does not save. */
+function trip(state, breach) {
+  const r = riskState(state);
+  r.breaker = { ...breach, value: Number(breach.value.toFixed(4)), at: new Date().toISOString() };
+  state.paused = true;
+  state.pauseReason = `Breaker: ${breach.message}`;
+  return r.breaker;
+}
+
+/** Clear a tripped breaker; requires an explicit ack. Returns { ok } or { error }. Does not save. */
+function acknowledge(state, { ack, note, by } = {}) {
+  const r = riskState(state);
+  if (!r.breaker) return { ok: true };
+  if (ack !== true && ack !== 'true') return { error: `Breaker tripped (${r.breaker.code}: ${r.breaker.message}). Resume with ack:true to acknowledge.`, breaker: r.breaker };
+  r.ack = { code: r.breaker.code, day: today(), at: new Date().toISOString(), note: note || null, by: by || null, breaker: r.breaker };
+  r.breaker = null;
+  return { ok: true, ack: r.ack };
+}
+
+module.exports = { LIMITS, defaultLimits, validateLimits, riskState, riskUsage, exposureToday, checkBreakers, checkOrder, trip, acknowledge };
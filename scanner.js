@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// scanner.js — arbitrage / mispricing scan over markets.json
+//
+// Flags, per open market or exclusive (neg-risk) event:
+//   ask-sum       best asks across a market's outcomes add up to < 1 (buy every outcome, one pays 1)
+//   crossed       an outcome's best bid is above its best ask
+//   event-yes     YES asks across an exclusive event's markets add up to < 1 (buy every YES)
+//   event-no      YES bids across an exclusive event add up to > 1 (buy every NO; n-1 of them pay)
+//   inconsistent  an exclusive event's / multi-outcome market's mids stray from summing to 1 (no clean trade)
+//   wide-spread   a liquid market quoted wider than SCAN_SPREAD_MIN (room to quote inside)
+// Each is sized to min(SCAN_MAX_STAKE, thinnest leg's liquidity) and ranked by expected profit after
+// SCAN_FEE_RATE (fraction of notional per leg); wide-spread profit is scaled by SCAN_SPREAD_FILL.
+//
+//   node scanner.js [--min 0.5] [--type crossed] [--json]
+
+const { readMarkets, marketOutcomes, marketRef, marketUrl } = require('./markets');
+
+const FEE_RATE = Number(process.env.SCAN_FEE_RATE || 0);
+const MAX_STAKE = Number(process.env.SCAN_MAX_STAKE || 100);
+const SPREAD_MIN = Number(process.env.SCAN_SPREAD_MIN || 0.05);
+const SPREAD_MIN_LIQ = Number(process.env.SCAN_SPREAD_MIN_LIQ || 5000);
+const INCONSISTENT_TOL = Number(process.env.SCAN_INCONSISTENT_TOL || 0.05);
+const SPREAD_FILL = Number(process.env.SCAN_SPREAD_FILL || 0.25); // share of a wide-spread quote expected to round-trip
+
+const inUnit = (p) => Number.isFinite(p) && p > 0 && p < 1;
+const r4 = (n) => Number(n.toFixed(4));
+const liqOf = (m) => { const n = Number(m.liquidityNum ?? m.liquidity); return Number.isFinite(n) && n > 0 ? n : 0; };
+const isOpen = (m) => m.closed !== true && m.archived !== true && m.active !== false;
+
+// cost/payout are per "set" (one share of every leg); stake is capped by the thinnest leg
+function opportunity(type, key, ref, legs, { cost, payout, liquidity, note, fill = 1 }) {
+  const fees = cost * FEE_RATE;
+  const profitPerSet = (payout - cost - fees) * fill;
+  const stake = Math.min(MAX_STAKE, liquidity);
+  const sets = cost > 0 ? stake / cost : 0;
+  return { id: `${type}:${key}`, type, ...ref, legs, cost: r4(cost), payout: r4(payout), fees: r4(fees),
+           profitPerSet: r4(profitPerSet), roi: cost > 0 ? r4(profitPerSet / cost) : 0,
+           stake: Number(stake.toFixed(2)), expectedProfit: Number(Math.max(0, sets * profitPerSet).toFixed(2)), note };
+}
+
+function scanMarket(m) {
+  const out = [];
+  const outs = marketOutcomes(m);
+  const ref = marketRef(m), liq = liqOf(m);
+  if (!outs.length) return out;
+
+  // Gamma quotes one book per binary market and markets.js mirrors it onto the second outcome;
+  // checking both sides of a mirrored book would just restate the first outcome's quote
+  const mirrored = outs.length === 2 && Math.abs(outs[1].bestAsk - (1 - outs[0].bestBid)) < 1e-9 && Math.abs(outs[1].bestBid - (1 - outs[0].bestAsk)) < 1e-9;
+  const asks = outs.map(o => o.bestAsk);
+  if (outs.length > 1 && !mirrored && asks.every(inUnit)) {
+    const sum = asks.reduce((a, x) => a + x, 0);
+    if (sum < 1) out.push(opportunity('ask-sum', ref.marketId, ref,
+      outs.map(o => ({ marketId: ref.marketId, outcome: o.name, side: 'YES', price: o.bestAsk })),
+      { cost: sum, payout: 1, liquidity: liq, note: `asks sum to ${r4(sum)}` }));
+  }
+  for (const o of mirrored ? outs.slice(0, 1) : outs) {
+    if (inUnit(o.bestBid) && inUnit(o.bestAsk) && o.bestBid > o.bestAsk)
+      out.push(opportunity('crossed', `${ref.marketId}:${o.name}`, ref,
+        [{ marketId: ref.marketId, outcome: o.name, side: 'YES', price: o.bestAsk }, { marketId: ref.marketId, outcome: o.name, side: 'SELL', price: o.bestBid }],
+        { cost: o.bestAsk, payout: o.bestBid, liquidity: liq, note: `bid ${o.bestBid} > ask ${o.bestAsk}` }));
+  }
+  if (outs.length > 2) {
+    const mids = outs.map(o => inUnit(o.bestBid) && inUnit(o.bestAsk) ? (o.bestBid + o.bestAsk) / 2 : o.lastPrice);
+    const sum = mids.reduce((a, x) => a + x, 0);
+    if (mids.every(Number.isFinite) && Math.abs(sum - 1) > INCONSISTENT_TOL)
+      out.push(opportunity('inconsistent', ref.marketId, ref, [], { cost: 0, payout: 0, liquidity: liq, note: `outcome mids sum to ${r4(sum)}` }));
+  }
+  const o = outs[0];
+  if (liq >= SPREAD_MIN_LIQ && inUnit(o.bestBid) && inUnit(o.bestAsk) && o.bestAsk - o.bestBid >= SPREAD_MIN) {
+    // quoting one tick inside both sides earns about half the spread per filled share
+    const spread = o.bestAsk - o.bestBid, mid = (o.bestAsk + o.bestBid) / 2;
+    out.push(opportunity('wide-spread', ref.marketId, ref,
+      [{ marketId: ref.marketId, outcome: o.name, side: 'BID', price: o.bestBid }, { marketId: ref.marketId, outcome: o.name, side: 'ASK', price: o.bestAsk }],
+      { cost: mid, payout: mid + spread / 2, liquidity: liq, fill: SPREAD_FILL, note: `spread ${r4(spread)} on liquidity ${Math.round(liq)}` }));
+  }
+  return out;
+}
+
+// markets grouped under one mutually exclusive (neg-risk) event: exactly one YES resolves
+function scanEvent(ev, markets) {
+  const out = [];
+  const yes = markets.map(m => ({ m, o: marketOutcomes(m)[0] })).filter(x => x.o);
+  if (yes.length < 2 || yes.length !== markets.length) return out;
+  const ref = { eventId: String(ev.id), question: ev.title || ev.slug, url: ev.slug ? `https://polymarket.com/event/${ev.slug}` : marketUrl(markets[0]), category: ev.category || null };
+  const liq = Math.min(...markets.map(liqOf));
+  const legs = (side, key) => yes.map(({ m, o }) => ({ marketId: String(m.id), outcome: o.name, side, price: side === 'YES' ? o[key] : r4(1 - o[key]) }));
+
+  if (yes.every(x => inUnit(x.o.bestAsk))) {
+    const sum = yes.reduce((a, x) => a + x.o.bestAsk, 0);
+    if (sum < 1) out.push(opportunity('event-yes', ev.id, ref, legs('YES', 'bestAsk'), { cost: sum, payout: 1, liquidity: liq, note: `YES asks sum to ${r4(sum)} over ${yes.length} markets` }));
+  }
+  if (yes.every(x => inUnit(x.o.bestBid))) {
+    const sum = yes.reduce((a, x) => a + x.o.bestBid, 0);
+    if (sum > 1) out.push(opportunity('event-no', ev.id, ref, legs('NO', 'bestBid'),
+      { cost: yes.length - sum, payout: yes.length - 1, liquidity: liq, note: `YES bids sum to ${r4(sum)} over ${yes.length} markets` }));
+  }
+  const mids = yes.map(({ o }) => inUnit(o.bestBid) && inUnit(o.bestAsk) ? (o.bestBid + o.bestAsk) / 2 : o.lastPrice);
+  const sum = mids.reduce((a, x) => a + x, 0);
+  if (mids.every(Number.isFinite) && Math.abs(sum - 1) > INCONSISTENT_TOL && !out.length)
+    out.push(opportunity('inconsistent', ev.id, ref, [], { cost: 0, payout: 0, liquidity: liq, note: `YES mids sum to ${r4(sum)} over ${yes.length} markets` }));
+  return out;
+}
+
+/**
+ * Scan open markets; returns opportunities sorted by expected profit (then ROI).
+ * @param {object} opts { markets, min (expectedProfit floor), type }
+ */
+function scan({ markets = readMarkets(), min = 0, type } = {}) {
+  const open = markets.filter(isOpen);
+  const out = open.flatMap(scanMarket);
+  const events = new Map();
+  for (const m of open) {
+    const ev = m.events?.[0];
+    if (!ev?.id || !(m.negRisk || ev.negRisk || ev.enableNegRisk)) continue;
+    if (!events.has(ev.id)) events.set(ev.id, { ev, markets: [] });
+    events.get(ev.id).markets.push(m);
+  }
+  for (const { ev, markets: ms } of events.values()) out.push(...scanEvent(ev, ms));
+  return out
+    .filter(o => (!type || o.type === type) && o.expectedProfit >= min)
+    .sort((a, b) => b.expectedProfit - a.expectedProfit || b.roi - a.roi);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const opt = (k) => { const i = args.indexOf(`--${k}`); return i >= 0 ? args[i + 1] : undefined; };
+  const ops = scan({ min: Number(opt('min') || 0), type: opt('type') });
+  if (args.includes('--json')) console.log(JSON.stringify(ops, null, 2));
+  else if (!ops.length) console.log('No opportunities.');
+  else ops.forEach(o => console.log(`${o.type.padEnd(12)} ${String(o.expectedProfit).padStart(8)}  roi ${(o.roi * 100).toFixed(2)}%  ${o.marketId || o.eventId}  ${o.question}  — ${o.note}`));
+}
+
+module.exports = { scan, scanMarket, scanEvent };
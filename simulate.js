@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// simulate.js — Monte Carlo bankroll paths for a staking config against synthetic bets
+//
+//   node simulate.js [--p 0.55 | --edge 0.02] [--odds 1.95 | --odds 1.8-2.2 | --odds 1.7,1.9,2.4]
+//                    [--bets 200] [--paths 2000] [--bankroll 100] [--strategy kelly:hotBoost=1]
+//                    [--drawdown 0.25] [--seed 1] [--json]
+//
+// Each bet draws its odds from the distribution (fixed, uniform min-max, or one of a list) and wins with
+// probability p, or 1/odds + edge when only an edge is given. Stakes come from planStake with the
+// strategy's own default edge, i.e. it sizes as betd would without knowing the true p. Also served by
+// betd as POST /simulate for the dashboard chart.
+
+const { loadState, freshState, bookResult } = require('./state');
+const { planStake } = require('./staking-policy');
+const { parseArgs, rng, parseStrategySpec, maxDrawdown } = require('./backtest');
+
+const CHART_POINTS = 50;
+
+/** "1.95" | "1.8-2.2" | "1.7,1.9,2.4" | 1.95 | {min,max} | [..] -> { kind, ... } or { error } */
+function parseOdds(v) {
+  if (Array.isArray(v) || (typeof v === 'string' && v.includes(','))) {
+    const list = (Array.isArray(v) ? v : v.split(',')).map(Number);
+    return list.length && list.every(x => x > 1) ? { kind: 'list', list } : { error: 'odds list must all be > 1' };
+  }
+  if (v && typeof v === 'object') v = `${v.min}-${v.max}`;
+  const [min, max = min] = String(v ?? 1.95).split('-').map(Number);
+  if (!(min > 1) || !(max >= min)) return { error: 'odds must be > 1 (a number, min-max or a comma list)' };
+  return min === max ? { kind: 'fixed', min, max } : { kind: 'uniform', min, max };
+}
+
+const quantile = (sorted, q) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : null;
+
+/**
+ * Run `paths` synthetic futures of `bets` bets each through one strategy.
+ * @param {object} o { p?, edge?, odds, bets, paths, bankroll, strategy {name, config}, drawdown, seed }
+ * @returns { ...inputs, final {p5..p95, mean}, pLoss, pDrawdown, doubled, medianBetsToDouble, chart[] } | { error }
+ */
+function simulate({ p, edge = 0.02, odds = 1.95, bets = 200, paths = 2000, bankroll = 100, strategy, drawdown = 0.25, seed = 1 } = {}) {
+  const od = parseOdds(odds);
+  if (od.error) return od;
+  if (p !== undefined && p !== null && !(p > 0 && p < 1)) return { error: 'p must be in (0,1)' };
+  if (!(Number.isInteger(bets) && bets > 0) || !(Number.isInteger(paths) && paths > 0)) return { error: 'bets and paths must be positive integers' };
+  if (!(bankroll > 0)) return { error: 'bankroll must be > 0' };
+
+  const rand = rng(seed);
+  const drawOdds = () => od.kind === 'list' ? od.list[Math.floor(rand() * od.list.length)]
+    : od.kind === 'uniform' ? Number((od.min + rand() * (od.max - od.min)).toFixed(3)) : od.min;
+  const every = Math.max(1, Math.ceil(bets / CHART_POINTS));
+  const finals = [], toDouble = [], checkpoints = [];
+  let hitDD = 0;
+
+  for (let i = 0; i < paths; i++) {
+    const sim = freshState({ bankroll, highWater: bankroll, strategy });
+    const equity = [bankroll];
+    let doubledAt = null;
+    for (let k = 1; k <= bets; k++) {
+      const o = drawOdds();
+      const win = rand() < (p ?? Math.min(0.99, 1 / o + edge));
+      const plan = planStake(sim, { odds: o });
+      const stake = Math.min(plan.stake || 0, sim.bankroll);
+      if (!plan.paused && stake > 0) bookResult(sim, null, win ? 'W' : 'L', { odds: o, stake, settledBy: 'sim', source: 'sim' });
+      if (sim.results.length > 100) sim.results.length = 100; // strategies only look at recent form
+      equity.push(sim.bankroll);
+      if (doubledAt === null && sim.bankroll >= 2 * bankroll) doubledAt = k;
+    }
+    finals.push(sim.bankroll);
+    if (doubledAt !== null) toDouble.push(doubledAt);
+    if (maxDrawdown(equity) >= drawdown) hitDD++;
+    equity.forEach((x, k) => { if (k % every === 0 || k === bets) (checkpoints[k] ||= []).push(x); });
+  }
+
+  const sorted = finals.slice().sort((a, b) => a - b);
+  const pct = (a, q) => Number(quantile(a, q).toFixed(2));
+  toDouble.sort((a, b) => a - b);
+  return {
+    p: p ?? null, edge: p === undefined || p === null ? edge : null, odds: od, bets, paths, bankroll, strategy, drawdown, seed,
+    final: { p5: pct(sorted, 0.05), p25: pct(sorted, 0.25), p50: pct(sorted, 0.5), p75: pct(sorted, 0.75), p95: pct(sorted, 0.95),
+             mean: Number((finals.reduce((a, x) => a + x, 0) / paths).toFixed(2)) },
+    pLoss: finals.filter(x => x < bankroll).length / paths,
+    pDrawdown: hitDD / paths,
+    doubled: toDouble.length / paths,
+    medianBetsToDouble: toDouble.length ? quantile(toDouble, 0.5) : null,
+    chart: checkpoints.map((xs, k) => xs && (xs.sort((a, b) => a - b),
+      { bet: k, p5: pct(xs, 0.05), p25: pct(xs, 0.25), p50: pct(xs, 0.5), p75: pct(xs, 0.75), p95: pct(xs, 0.95) })).filter(Boolean)
+  };
+}
+
+if (require.main === module) {
+  const a = parseArgs(process.argv.slice(2));
+  const state = loadState();
+  const s = parseStrategySpec(a.strategy || 'active', state);
+  if (s.error) { console.error(`❌ ${s.error}`); process.exit(1); }
+  const num = (x, d) => x === undefined ? d : Number(x);
+  const out = simulate({ p: num(a.p), edge: num(a.edge, 0.02), odds: a.odds ?? 1.95, bets: num(a.bets, 200), paths: num(a.paths, 2000),
+                         bankroll: num(a.bankroll, 100), strategy: { name: s.name, config: s.config }, drawdown: num(a.drawdown, 0.25), seed: num(a.seed, 1) });
+  if (out.error) { console.error(`❌ ${out.error}`); process.exit(1); }
+  if (a.json) { console.log(JSON.stringify(out, null, 2)); process.exit(0); }
+  const pc = (x) => `${(x * 100).toFixed(1)}%`;
+  const f = out.final;
+  console.log(`${s.label}  |  ${out.paths} paths x ${out.bets} bets from ${out.bankroll}  |  ${out.p !== null ? `p=${out.p}` : `edge=${out.edge}`}  odds ${out.odds.kind === 'list' ? out.odds.list.join(',') : `${out.odds.min}-${out.odds.max}`}`);
+  console.log(`final bankroll  p5 ${f.p5}  p25 ${f.p25}  p50 ${f.p50}  p75 ${f.p75}  p95 ${f.p95}  (mean ${f.mean})`);
+  console.log(`P(loss) ${pc(out.pLoss)}  |  P(drawdown ≥ ${pc(out.drawdown)}) ${pc(out.pDrawdown)}  |  doubled ${pc(out.doubled)}, median after ${out.medianBetsToDouble ?? '—'} bets`);
+}
+
+module.exports = { parseOdds, simulate };
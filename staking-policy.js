@@ -1,29 +1,11 @@
 #!/usr/bin/env node
-// staking-policy.js — bankroll-aware staking with hot/cold adjustments
-
-const fs = require('fs');
-const path = require('path');
-
-const STATE_PATH = path.join(__dirname, 'poly-state.json'); // reuse your existing state file if you want
-
-// ---- Tunables (safe defaults) ----
-const CFG = {
-  baseUnit: 0.1,           // your "I'm poor" minimum unit; all stakes are >= this
-  minStake: 0.1,           // absolute floor
-  maxStakePct: 0.02,       // hard cap per bet: 2% of bankroll
-  kellyFraction: 0.25,     // use 1/4 Kelly (safer)
-  defaultEdge: 0.02,       // 2% edge if we don't have a model
-  hotStreak: { wins: 3, boost: 1.2 },   // 3 straight wins -> x1.2
-  coldStreak: { losses: 2, cut: 0.7 },  // 2 straight losses -> x0.7
-};
+// staking-policy.js — staking strategy registry (kelly, aggression-window, fixed-unit)
+//
+// Each strategy declares a config `schema` ({ key: { type, default, min?, max? } }) and a
+// `plan(ctx, cfg)` that sizes one bet. The active one lives in state.strategy = { name, config }
+// and is shared by betd, the poly-bet CLI and the Telegram bot.
 
-function loadState() {
-  try { return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')); }
-  catch { return { bankroll: 100, results: [] }; }
-}
-function saveState(s) {
-  try { fs.writeFileSync(STATE_PATH, JSON.stringify(s, null, 2)); } catch {}
-}
+const { loadState, saveState } = require('./state');
 
 function kellyFractionDecimalOdds(p, b) {
   // Kelly f* = (bp - q)/b where b = odds-1, p=prob of win, q=1-p
@@ -33,65 +15,164 @@ function kellyFractionDecimalOdds(p, b) {
 }
 
 function streakInfo(results) {
-  // results: most-recent first array of 'W'/'L'
+  // results: most-recent first, entries or bare 'W'/'L'/'V'/'H'; voids and 50/50s don't break a streak
   let w = 0, l = 0;
-  for (const r of results) {
+  for (const x of results) {
+    const r = typeof x === 'string' ? x : x?.result;
     if (r === 'W') { if (l > 0) break; w++; }
     else if (r === 'L') { if (w > 0) break; l++; }
+    else if (r === 'V' || r === 'H') continue;
     else break;
   }
   return { wins: w, losses: l };
 }
+function recentWins(results, n) {
+  return results.filter(r => !['V', 'H'].includes(r?.result ?? r)).slice(0, n).filter(r => (r?.result ?? r) === 'W').length;
+}
 
-/**
- * Plan a stake given bankroll & decimal odds.
- * @param {number} bankroll
- * @param {number} odds (decimal)
- * @param {number} [edge]  (optional; if omitted uses CFG.defaultEdge)
- * @param {object} [state] (optional injected state)
- * @returns { stake, fraction, appliedMultiplier, notes[] }
- */
-function planStake(bankroll, odds, edge, state) {
-  const s = state || loadState();
-  const notes = [];
-
-  const b = Math.max(1.0001, odds) - 1; // b = odds - 1
-  const impliedP = 1 / odds;
-  const p = Math.min(0.99, Math.max(0.01, impliedP + (edge ?? CFG.defaultEdge)));
-
-  const rawKelly = kellyFractionDecimalOdds(p, b);
-  const f = Math.min(rawKelly * CFG.kellyFraction, CFG.maxStakePct);
-  const baseStake = Math.max(CFG.minStake, CFG.baseUnit, bankroll * f);
+const STRATEGIES = {
+  // fractional Kelly with hot/cold streak multipliers
+  kelly: {
+    description: 'Fractional Kelly on model/default edge, hot/cold streak multipliers, % of bankroll cap',
+    schema: {
+      baseUnit:      { type: 'number', default: 0.1, min: 0 },     // your "I'm poor" minimum unit; all stakes are >= this
+      minStake:      { type: 'number', default: 0.1, min: 0 },     // absolute floor
+      maxStakePct:   { type: 'number', default: 0.02, min: 0, max: 1 }, // hard cap per bet: 2% of bankroll
+      kellyFraction: { type: 'number', default: 0.25, min: 0, max: 1 }, // use 1/4 Kelly (safer)
+      defaultEdge:   { type: 'number', default: 0.02, min: -1, max: 1 }, // 2% edge if we don't have a model
+      hotWins:       { type: 'integer', default: 3, min: 1 },      // 3 straight wins -> x hotBoost
+      hotBoost:      { type: 'number', default: 1.2, min: 0 },
+      coldLosses:    { type: 'integer', default: 2, min: 1 },      // 2 straight losses -> x coldCut
+      coldCut:       { type: 'number', default: 0.7, min: 0 }
+    },
+    plan({ bankroll, odds, edge, results }, c) {
+      const notes = [];
+      const b = Math.max(1.0001, odds) - 1; // b = odds - 1
+      const impliedP = 1 / odds;
+      const p = Math.min(0.99, Math.max(0.01, impliedP + (edge ?? c.defaultEdge)));
+
+      const rawKelly = kellyFractionDecimalOdds(p, b);
+      const f = Math.min(rawKelly * c.kellyFraction, c.maxStakePct);
+      let stake = Math.max(c.minStake, c.baseUnit, bankroll * f);
+      notes.push(`kellyRaw=${rawKelly.toFixed(4)} f=${f.toFixed(4)} base=${stake.toFixed(4)}`);
+
+      const streak = streakInfo(results);
+      let mult = 1.0;
+      if (streak.wins >= c.hotWins) { mult *= c.hotBoost; notes.push(`hot x${c.hotBoost}`); }
+      if (streak.losses >= c.coldLosses) { mult *= c.coldCut; notes.push(`cold x${c.coldCut}`); }
+      stake *= mult;
+
+      // clamp again to maxStakePct of bankroll
+      const cap = bankroll * c.maxStakePct;
+      if (stake > cap) { stake = cap; notes.push(`cap ${c.maxStakePct * 100}%`); }
+      if (stake < c.minStake) { stake = c.minStake; notes.push(`floor ${c.minStake}`); }
+      stake = Math.max(c.baseUnit, stake);
+      return { stake, appliedMultiplier: mult, notes };
+    }
+  },
+
+  // the poly-bet window/aggression table: more wins in the last `window` bets -> bigger fraction
+  'aggression-window': {
+    description: 'Base Kelly fraction scaled by wins in the last N bets, bonus on a pure streak',
+    schema: {
+      baseKelly:            { type: 'number', default: 0.07, min: 0, max: 1 },
+      window:               { type: 'integer', default: 5, min: 1 },
+      aggression:           { type: 'map', default: { 0: 0.5, 1: 0.5, 2: 0.5, 3: 1.0, 4: 1.25, 5: 1.5 } },
+      maxFraction:          { type: 'number', default: 0.13, min: 0, max: 1 },
+      minFraction:          { type: 'number', default: 0.02, min: 0, max: 1 },
+      hotBonusOnPureStreak: { type: 'number', default: 1.75, min: 0 }
+    },
+    plan({ bankroll, results }, c) {
+      const wins = recentWins(results, c.window);
+      const mult = c.aggression[String(Math.min(wins, c.window))] ?? 1.0;
+      const pure = wins === c.window;
+      const hot = pure ? c.hotBonusOnPureStreak : 1;
+      const frac = Math.min(c.maxFraction, Math.max(c.minFraction, c.baseKelly * mult * hot));
+      const notes = [`wins ${wins}/${c.window} x${mult}${pure ? ` pure x${hot}` : ''} frac=${frac.toFixed(4)}`];
+      return { stake: bankroll * frac, appliedMultiplier: Number((mult * hot).toFixed(2)), notes };
+    }
+  },
+
+  // flat stake, capped at a % of bankroll
+  'fixed-unit': {
+    description: 'Same stake every bet, capped at a % of bankroll',
+    schema: {
+      unit:        { type: 'number', default: 1, min: 0 },
+      maxStakePct: { type: 'number', default: 0.05, min: 0, max: 1 }
+    },
+    plan({ bankroll }, c) {
+      const notes = [`unit ${c.unit}`];
+      let stake = c.unit;
+      if (stake > bankroll * c.maxStakePct) { stake = bankroll * c.maxStakePct; notes.push(`cap ${c.maxStakePct * 100}%`); }
+      return { stake, appliedMultiplier: 1, notes };
+    }
+  }
+};
 
-  let stake = baseStake;
-  notes.push(`kellyRaw=${rawKelly.toFixed(4)} f=${f.toFixed(4)} base=${baseStake.toFixed(4)}`);
+function defaults(name) {
+  // only map defaults need copying; planStake calls this per bet, so keep it cheap for simulations
+  return Object.fromEntries(Object.entries(STRATEGIES[name].schema).map(([k, f]) => [k, f.type === 'map' ? { ...f.default } : f.default]));
+}
 
-  // hot/cold streak multiplier
-  const streak = streakInfo(s.results || []);
-  let mult = 1.0;
-  if (streak.wins >= CFG.hotStreak.wins) { mult *= CFG.hotStreak.boost; notes.push(`hot x${CFG.hotStreak.boost}`); }
-  if (streak.losses >= CFG.coldStreak.losses) { mult *= CFG.coldStreak.cut; notes.push(`cold x${CFG.coldStreak.cut}`); }
+/** Fill defaults and type/range-check a strategy config. Returns { name, config } or { error }. */
+function validateStrategy(name, config = {}) {
+  const s = STRATEGIES[name];
+  if (!s) return { error: `Unknown strategy "${name}". Options: ${Object.keys(STRATEGIES).join(', ')}` };
+  const out = defaults(name);
+  for (const [k, v] of Object.entries(config || {})) {
+    const f = s.schema[k];
+    if (!f) return { error: `${name}: unknown setting "${k}". Options: ${Object.keys(s.schema).join(', ')}` };
+    if (f.type === 'map') {
+      const m = typeof v === 'string' ? (() => { try { return JSON.parse(v); } catch { return null; } })() : v;
+      if (!m || typeof m !== 'object' || Object.values(m).some(x => !Number.isFinite(Number(x)))) return { error: `${name}.${k} must be a map of numbers` };
+      out[k] = Object.fromEntries(Object.entries(m).map(([a, b]) => [a, Number(b)]));
+      continue;
+    }
+    const n = Number(v);
+    if (!Number.isFinite(n) || (f.type === 'integer' && !Number.isInteger(n))) return { error: `${name}.${k} must be ${f.type === 'integer' ? 'an integer' : 'a number'}` };
+    if ((f.min !== undefined && n < f.min) || (f.max !== undefined && n > f.max)) return { error: `${name}.${k} must be within [${f.min ?? '-∞'}, ${f.max ?? '∞'}]` };
+    out[k] = n;
+  }
+  return { name, config: out };
+}
 
-  stake *= mult;
-  // clamp again to maxStakePct of bankroll
-  const cap = bankroll * CFG.maxStakePct;
-  if (stake > cap) { stake = cap; notes.push(`cap ${CFG.maxStakePct*100}%`); }
-  if (stake < CFG.minStake) { stake = CFG.minStake; notes.push(`floor ${CFG.minStake}`); }
+function describeStrategies() {
+  return Object.entries(STRATEGIES).map(([name, s]) => ({ name, description: s.description, schema: s.schema }));
+}
 
-  // round to sensible cents (or base units)
-  stake = Math.max(CFG.baseUnit, Math.round(stake * 100) / 100);
+// What a strategy gets to look at, derived from shared state.
+function stakingContext(state, { odds, edge, bankroll } = {}) {
+  return { bankroll: bankroll ?? state.bankroll, highWater: state.highWater ?? state.bankroll, odds, edge, results: state.results || [] };
+}
 
-  return { stake, fraction: stake / bankroll, appliedMultiplier: mult, notes };
+/**
+ * Size a stake with the state's active strategy.
+ * @param {object} state       shared state (see state.js); state.strategy picks the strategy
+ * @param {object} opts        { odds (decimal), edge?, bankroll? (defaults to state.bankroll) }
+ * @returns { stake, fraction, appliedMultiplier, strategy, notes[] } | { paused, reason, strategy }
+ */
+function planStake(state, opts = {}) {
+  const v = validateStrategy(state.strategy?.name || 'kelly', state.strategy?.config);
+  if (v.error) throw new Error(v.error);
+  const ctx = stakingContext(state, opts);
+  const out = STRATEGIES[v.name].plan(ctx, v.config);
+  if (out.paused) return { ...out, strategy: v.name };
+
+  // round to sensible cents
+  const stake = Math.max(0, Math.round(out.stake * 100) / 100);
+  return { stake, fraction: ctx.bankroll > 0 ? stake / ctx.bankroll : 0, appliedMultiplier: out.appliedMultiplier,
+           strategy: v.name, notes: [`${v.name}`, ...out.notes] };
 }
 
-// Simple CLI for quick checks:
-//   node staking-policy.js 100 1.95
+// Simple CLI for quick checks (uses poly-state.json's strategy/results):
+//   node staking-policy.js 100 1.95 [strategy]
 if (require.main === module) {
+  const state = loadState();
   const bankroll = Number(process.argv[2] || 100);
   const odds = Number(process.argv[3] || 1.95);
-  const plan = planStake(bankroll, odds);
+  if (process.argv[4]) state.strategy = { name: process.argv[4], config: {} };
+  const plan = planStake(state, { bankroll, odds });
   console.log(JSON.stringify(plan, null, 2));
 }
 
-module.exports = { planStake, CFG, loadState, saveState };
-
+module.exports = { STRATEGIES, planStake, validateStrategy, describeStrategies, stakingContext, streakInfo, loadState, saveState };
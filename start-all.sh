@@ -29,7 +29,7 @@ sleep 0.2
 # Health check
 echo "Health check /status…"
 if command -v curl >/dev/null 2>&1; then
-  if curl -fsS http://localhost:8787/status >/dev/null; then
+  if curl -fsS http://localhost:8787/health >/dev/null; then
     echo "✅ betd is healthy"
   else
     echo "⚠️ betd not responding yet; check logs/betd.log"
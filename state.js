@@ -0,0 +1,452 @@
+// state.js — the one poly-state.json format shared by betd, the poly-bet CLI and the staking strategies
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_PATH = path.join(__dirname, 'poly-state.json');
+
+const DEFAULT_STATE = {
+  bankroll: 100.00,
+  highWater: 100.00,
+  currency: 'USD',
+  paused: false,
+  pauseReason: '',
+  oddsBand: { min: 1.8, max: 2.2 },
+  strategy: { name: 'kelly', config: {} },
+  risk: { limits: {}, breaker: null, ack: null },
+  execution: {},
+  model: { name: 'mid-vs-last', overrides: {} },
+  watchlist: [],
+  autopilot: { mode: 'off', filters: {}, lastRun: null },
+  planned: null,
+  positions: [],
+  results: [],
+  stats: { wins: 0, losses: 0, voids: 0, splits: 0 }
+};
+// keys only the old poly-bet CLI wrote; superseded by `strategy` and the positions book
+const LEGACY_KEYS = ['config', 'pendingStake', 'exposureToday', 'exposureDayAnchor'];
+
+function nowIso() { return new Date().toISOString(); }
+function newId(prefix) { return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`; }
+function freshState(overrides = {}) { return JSON.parse(JSON.stringify({ ...DEFAULT_STATE, ...overrides })); }
+
+function normalizeState(s) {
+  const st = Object.assign(freshState(), s, {
+    oddsBand: Object.assign({}, DEFAULT_STATE.oddsBand, s.oddsBand || {}),
+    strategy: Object.assign({}, DEFAULT_STATE.strategy, s.strategy || {}),
+    risk: Object.assign({}, DEFAULT_STATE.risk, s.risk || {}),
+    execution: Object.assign({}, DEFAULT_STATE.execution, s.execution || {}),
+    model: Object.assign({}, DEFAULT_STATE.model, s.model || {}),
+    autopilot: Object.assign({}, DEFAULT_STATE.autopilot, s.autopilot || {}),
+    stats: Object.assign({}, DEFAULT_STATE.stats, s.stats || {}),
+    watchlist: Array.isArray(s.watchlist) ? s.watchlist : [],
+    positions: Array.isArray(s.positions) ? s.positions : [],
+    results: (Array.isArray(s.results) ? s.results : []).map(r => r.id ? r : { id: `res_${(Date.parse(r.ts) || 0).toString(36)}`, ...r })
+  });
+  if (s.config?.currency && !s.currency) st.currency = s.config.currency;
+  for (const k of LEGACY_KEYS) delete st[k];
+  // drawdown pause / daily exposure cap used to be aggression-window settings; they're risk limits now
+  const { drawdownPause, dailyExposureCap, ...cfg } = st.strategy.config || {};
+  st.strategy.config = cfg;
+  st.risk.limits = { ...st.risk.limits };
+  if (drawdownPause !== undefined) st.risk.limits.maxDrawdownPct ??= drawdownPause;
+  if (dailyExposureCap !== undefined) st.risk.limits.maxDailyExposurePct ??= dailyExposureCap;
+  // pre-positions layout kept an executed bet in `planned`
+  if (st.planned?.order) { st.positions.push(openPosition(st.planned, st.planned.order)); st.planned = null; }
+  return st;
+}
+// ----- storage -----
+// poly-state.json is a checkpoint; the ledger next to it (poly-state.ledger.jsonl) is the record. Every save
+// appends what changed since the last one as events — snapshot | open | position | close | result | set | adjust,
+// plus amend | undo from correctResult() — then atomically replaces the file (tmp + fsync + rename, previous copy kept as .bak). Replaying the ledger from
+// its last snapshot rebuilds the state, so bankroll = snapshot + booked pnl (+ any adjust). One process at a time
+// may write (poly-state.json.lock holds its pid); inside that process loadState() hands out one shared object.
+
+const ledgerPath = (file) => file.replace(/\.json$/, '') + '.ledger.jsonl';
+const lockPath = (file) => `${file}.lock`;
+const clone = (x) => JSON.parse(JSON.stringify(x));
+// everything else on the state object is logged as `set` events
+const BOOK_KEYS = new Set(['bankroll', 'highWater', 'stats', 'results', 'positions', 'ledgerSeq']);
+
+const live = new Map();      // file -> the writer's in-memory state
+const baselines = new Map(); // file -> what the last save wrote (see baselineOf)
+const held = new Set();      // files this process holds the lock for
+const seqs = new Map();      // file -> last ledger seq (only the lock holder appends)
+
+function validState(s) {
+  return !!s && typeof s === 'object' && !Array.isArray(s) && Number.isFinite(s.bankroll) && s.bankroll >= 0 &&
+         (s.results === undefined || Array.isArray(s.results)) && (s.positions === undefined || Array.isArray(s.positions));
+}
+
+/** Ledger events in order; a torn last line (crash mid-append) is dropped, a bad line elsewhere throws. */
+function readLedger(file = STATE_PATH) {
+  let text;
+  try { text = fs.readFileSync(ledgerPath(file), 'utf8'); } catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+  const lines = text.split('\n').filter(Boolean);
+  const out = [];
+  lines.forEach((l, i) => {
+    try { out.push(JSON.parse(l)); }
+    catch (e) { if (i < lines.length - 1) throw new Error(`${path.basename(ledgerPath(file))} line ${i + 1}: ${e.message}`); }
+  });
+  return out;
+}
+
+// H(alf): the market resolved 50/50 and every share paid 0.5
+const STAT = { W: 'wins', L: 'losses', V: 'voids', H: 'splits' };
+const RESULTS = Object.keys(STAT);
+// net of the fee, which is paid on top of the stake and kept whatever the outcome
+const payoutOf = (res, stake, odds) => res === 'W' ? stake * odds : res === 'H' ? stake * odds / 2 : res === 'V' ? stake : 0;
+const pnlOf = (res, stake, odds, fee = 0) => Number((payoutOf(res, stake, odds) - stake - fee).toFixed(2));
+
+/** resultId -> corrected entry (null = undone), latest correction wins. */
+function fixesOf(events) {
+  const fixes = new Map();
+  for (const e of events) if (e.type === 'amend' || e.type === 'undo') fixes.set(e.resultId, e.type === 'amend' ? e.entry : null);
+  return fixes;
+}
+
+// Corrections to results that came in with a snapshot: each later bankrollAfter and the bankroll move by the pnl
+// difference, stats are recounted over the list (keeping what it doesn't explain, e.g. trimmed results) and the
+// high-water mark is the corrected curve's peak, or the snapshot's own when that came from outside the curve.
+function patchResults(s, fixes) {
+  if (!s.results.some(r => fixes.has(r.id))) return;
+  const old = s.results, count = (rs, k) => rs.filter(r => STAT[r.result] === k).length;
+  const start = old.at(-1).bankrollAfter - old.at(-1).pnl;
+  const outside = s.highWater > Math.max(start, ...old.map(r => r.bankrollAfter)) ? s.highWater : 0;
+  let shift = 0;
+  const fixed = [];
+  for (const r of [...old].reverse()) {
+    const f = fixes.has(r.id) ? fixes.get(r.id) : r;
+    shift += (f ? f.pnl : 0) - r.pnl;
+    if (f) fixed.unshift({ ...f, bankrollAfter: Math.max(0, Number((r.bankrollAfter + shift).toFixed(2))) });
+  }
+  s.results = fixed;
+  s.bankroll = Math.max(0, Number((s.bankroll + shift).toFixed(2)));
+  s.highWater = Math.max(outside, start, s.bankroll, ...fixed.map(r => r.bankrollAfter));
+  for (const k of Object.values(STAT)) s.stats[k] = Math.max(0, (s.stats[k] || 0) - count(old, k)) + count(fixed, k);
+}
+
+// `fixes` (from fixesOf) rewrites result events in place, so a correction lands where the result was booked
+function applyEvent(s, e, fixes) {
+  switch (e.type) {
+    case 'snapshot': s = normalizeState(clone(e.state)); if (fixes) patchResults(s, fixes); break;
+    case 'open': s.positions.push(e.position); break;
+    case 'position': s.positions = s.positions.map(p => p.id === e.position.id ? e.position : p); break;
+    case 'close': s.positions = s.positions.filter(p => p.id !== e.positionId); break;
+    case 'result': {
+      const r = fixes?.has(e.entry.id) ? fixes.get(e.entry.id) : e.entry;
+      if (!r) break; // undone: as if never booked, so its position stays open
+      s.bankroll = Math.max(0, Number((s.bankroll + r.pnl).toFixed(2)));
+      if (s.bankroll > s.highWater) s.highWater = s.bankroll;
+      s.results.unshift({ ...r, bankrollAfter: s.bankroll }); if (s.results.length > 5000) s.results.length = 5000;
+      s.stats[STAT[r.result]]++;
+      if (r.positionId) s.positions = s.positions.filter(p => p.id !== r.positionId);
+      break;
+    }
+    case 'set': if (e.unset) delete s[e.key]; else s[e.key] = clone(e.value); break;
+    case 'adjust':
+      s.bankroll = Math.max(0, Number((s.bankroll + e.bankroll).toFixed(2)));
+      s.highWater = Number((s.highWater + e.highWater).toFixed(2));
+      for (const k of Object.keys(e.stats)) s.stats[k] = (s.stats[k] || 0) + e.stats[k];
+      break;
+    case 'amend': case 'undo': break; // applied through `fixes`
+    default: throw new Error(`Unknown ledger event "${e.type}" (seq ${e.seq})`);
+  }
+  s.ledgerSeq = e.seq;
+  return s;
+}
+
+/** Rebuild the state from the ledger's last snapshot (null when there is none). */
+function replayLedger(file = STATE_PATH, events = readLedger(file)) {
+  let from = -1;
+  events.forEach((e, i) => { if (e.type === 'snapshot') from = i; });
+  const fixes = fixesOf(events);
+  return from < 0 ? null : events.slice(from).reduce((s, e) => applyEvent(s, e, fixes), null);
+}
+
+function baselineOf(s) {
+  return { bankroll: s.bankroll, highWater: s.highWater, stats: JSON.stringify(s.stats), head: s.results.length ? s.results[0].id : null,
+           positions: new Map(s.positions.map(p => [p.id, JSON.stringify(p)])),
+           keys: new Map(Object.keys(s).filter(k => !BOOK_KEYS.has(k)).map(k => [k, JSON.stringify(s[k])])) };
+}
+
+/** Events turning the state `base` describes into `s`. */
+function diffEvents(base, s) {
+  const n = base.head === null ? s.results.length : s.results.findIndex(r => r.id === base.head);
+  if (n < 0) return [{ type: 'snapshot', state: s }]; // results rewritten (reset / restore): start over
+  const booked = s.results.slice(0, n).reverse();
+  const settled = new Set(booked.map(r => r.positionId));
+  const ids = new Set(s.positions.map(p => p.id));
+  const ev = [];
+  for (const p of s.positions) {
+    const was = base.positions.get(p.id), now = JSON.stringify(p);
+    if (was === undefined) ev.push({ type: 'open', position: p });
+    else if (was !== now) ev.push({ type: 'position', position: p });
+  }
+  const model = { bankroll: base.bankroll, highWater: base.highWater, stats: JSON.parse(base.stats), results: [], positions: [] };
+  for (const entry of booked) { ev.push({ type: 'result', entry }); applyEvent(model, { type: 'result', entry }); }
+  for (const id of base.positions.keys()) if (!ids.has(id) && !settled.has(id)) ev.push({ type: 'close', positionId: id });
+  for (const k of new Set([...base.keys.keys(), ...Object.keys(s)])) {
+    if (BOOK_KEYS.has(k)) continue;
+    const now = s[k] === undefined ? undefined : JSON.stringify(s[k]);
+    if (now === base.keys.get(k)) continue;
+    ev.push(now === undefined ? { type: 'set', key: k, unset: true } : { type: 'set', key: k, value: s[k] });
+  }
+  // bankroll only moves through results; anything else (hand edits, a reset keeping history) is recorded as a delta
+  const stats = Object.fromEntries(Object.keys(s.stats).map(k => [k, s.stats[k] - (model.stats[k] || 0)]).filter(([, d]) => d));
+  const dB = Number((s.bankroll - model.bankroll).toFixed(2)), dH = Number((s.highWater - model.highWater).toFixed(2));
+  if (dB || dH || Object.keys(stats).length) ev.push({ type: 'adjust', bankroll: dB, highWater: dH, stats });
+  return ev;
+}
+
+/**
+ * Read + normalize the state file, applying ledger events it hasn't caught up with (a crash between ledger append
+ * and file write). A missing-with-ledger, unparseable or invalid file is rebuilt from the ledger, else from .bak.
+ * @returns { state, recovered: null | { reason, from: 'ledger'|'backup'|'fresh' } }
+ */
+function readStateInfo(file = STATE_PATH) {
+  let s;
+  try {
+    s = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!validState(s)) throw new Error('not a valid state object');
+  } catch (e) {
+    const reason = e.code === 'ENOENT' ? 'missing' : e.message;
+    const events = readLedger(file);
+    if (e.code === 'ENOENT' && !events.length) return { state: freshState(), recovered: null };
+    const replayed = replayLedger(file, events);
+    if (replayed) return { state: replayed, recovered: { reason, from: 'ledger' } };
+    try {
+      const bak = JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8'));
+      if (validState(bak)) return { state: normalizeState(bak), recovered: { reason, from: 'backup' } };
+    } catch {}
+    return { state: freshState(), recovered: { reason, from: 'fresh' } };
+  }
+  const st = normalizeState(s);
+  if (!Number.isInteger(s.ledgerSeq)) return { state: st, recovered: null };
+  const events = readLedger(file), tail = events.filter(e => e.seq > s.ledgerSeq);
+  // a correction rewrites history, so catching up past one means replaying from the snapshot
+  if (tail.some(e => e.type === 'amend' || e.type === 'undo')) return { state: { ...st, ...replayLedger(file, events) }, recovered: null };
+  return { state: tail.reduce((x, e) => applyEvent(x, e), st), recovered: null };
+}
+
+const alive = (pid) => { try { process.kill(pid, 0); return true; } catch (e) { return e.code === 'EPERM'; } };
+
+/** Take the single-writer lock (held until exit); throws if another live process has it. */
+function acquireWriter(file = STATE_PATH) {
+  if (held.has(file)) return;
+  const lp = lockPath(file);
+  for (let tries = 0; tries < 2; tries++) {
+    try {
+      fs.writeFileSync(lp, JSON.stringify({ pid: process.pid, by: path.basename(process.argv[1] || 'node'), since: nowIso() }), { flag: 'wx' });
+      held.add(file);
+      process.once('exit', () => releaseWriter(file));
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      let l = null;
+      try { l = JSON.parse(fs.readFileSync(lp, 'utf8')); } catch {}
+      if (l && alive(l.pid)) throw new Error(`${path.basename(file)} is locked by ${l.by} (pid ${l.pid}) since ${l.since}`);
+      fs.rmSync(lp, { force: true }); // its owner is gone
+    }
+  }
+  throw new Error(`Could not lock ${path.basename(file)}`);
+}
+function releaseWriter(file = STATE_PATH) {
+  if (!held.delete(file)) return;
+  try { if (JSON.parse(fs.readFileSync(lockPath(file), 'utf8')).pid === process.pid) fs.rmSync(lockPath(file)); } catch {}
+}
+
+function writeSynced(file, text, flag) {
+  const fd = fs.openSync(file, flag);
+  try { fs.writeSync(fd, text); fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+}
+function writeAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  writeSynced(tmp, text, 'w');
+  try { fs.rmSync(`${file}.bak`, { force: true }); fs.linkSync(file, `${file}.bak`); } catch {}
+  fs.renameSync(tmp, file);
+}
+
+// a crash mid-append leaves a partial last line; cut it so the next append starts on a line of its own
+function repairLedger(file) {
+  let text;
+  try { text = fs.readFileSync(ledgerPath(file), 'utf8'); } catch { return; }
+  if (!text || text.endsWith('\n')) return;
+  fs.truncateSync(ledgerPath(file), Buffer.byteLength(text.slice(0, text.lastIndexOf('\n') + 1)));
+  console.error(`[state] dropped a partial last line from ${path.basename(ledgerPath(file))}`);
+}
+
+function appendEvents(file, s, events) {
+  let seq = seqs.get(file);
+  const ts = nowIso();
+  writeSynced(ledgerPath(file), events.map(e => JSON.stringify({ seq: ++seq, ts, ...e }) + '\n').join(''), 'a');
+  s.ledgerSeq = seq; seqs.set(file, seq);
+}
+
+// first write in this process: take the lock, start the ledger from what's on disk, and replace a file that
+// was unreadable (kept aside as .corrupt-<ts>) or behind the ledger
+function attach(file) {
+  acquireWriter(file);
+  if (baselines.has(file)) return null;
+  const info = readStateInfo(file), s = info.state, rec = info.recovered;
+  const exists = fs.existsSync(file);
+  repairLedger(file);
+  seqs.set(file, readLedger(file).at(-1)?.seq || 0);
+  const behind = exists && s.ledgerSeq !== seqs.get(file);
+  if (rec && rec.reason !== 'missing') {
+    const q = `${file}.corrupt-${Date.now()}`;
+    try { fs.copyFileSync(file, q); } catch {}
+    console.error(`[state] ${path.basename(file)} was unreadable (${rec.reason}); rebuilt from ${rec.from}, old file kept as ${path.basename(q)}`);
+  }
+  if (rec ? rec.from !== 'ledger' : exists && !fs.existsSync(ledgerPath(file))) appendEvents(file, s, [{ type: 'snapshot', state: s }]);
+  if (rec || behind) writeAtomic(file, JSON.stringify(s, null, 2));
+  // nothing on disk yet: the first save's own state is the snapshot
+  baselines.set(file, exists || rec ? baselineOf(s) : null);
+  return info;
+}
+
+/**
+ * Become the writer for `file` and keep its state in memory: later loadState() calls in this process return
+ * the same object, so concurrent requests see each other's changes. Throws when another process holds the lock.
+ */
+function openState(file = STATE_PATH) {
+  if (live.has(file)) return live.get(file);
+  const info = attach(file);
+  const s = info ? info.state : readStateInfo(file).state;
+  live.set(file, s);
+  if (!fs.existsSync(file)) saveState(s, file);
+  return s;
+}
+
+// the file an opened state belongs to, so saveState(s) needs no path for it
+const fileOf = (s) => [...live].find(([, v]) => v === s)?.[0] || STATE_PATH;
+
+/** The writer's shared state, or a fresh read (with recovery) for everyone else. */
+function loadState(file = STATE_PATH) {
+  return live.get(file) || readStateInfo(file).state;
+}
+
+/** Log what changed since the last save to the ledger, then atomically rewrite the file. Throws on lock or I/O errors. */
+function saveState(s, file = fileOf(s)) {
+  attach(file);
+  const base = baselines.get(file);
+  const events = base ? diffEvents(base, s) : [{ type: 'snapshot', state: s }];
+  if (!events.length) return;
+  appendEvents(file, s, events);
+  writeAtomic(file, JSON.stringify(s, null, 2));
+  baselines.set(file, baselineOf(s));
+}
+
+/** A recorded result by id ('last' = most recent): from `s.results`, else (trimmed off) from the ledger. */
+function findResult(s, id, events) {
+  if (id === 'last') return s.results[0] || null;
+  const hit = s.results.find(r => r.id === id);
+  if (hit) return hit;
+  const fixes = fixesOf(events);
+  const e = events.find(x => x.type === 'result' && x.entry.id === id);
+  return !e ? null : fixes.has(id) ? fixes.get(id) : e.entry;
+}
+
+/**
+ * Undo ({ undo: true }), amend ({ result?, odds?, stake? }) or void ({ result: 'V' }) a recorded result. Logged as
+ * an `undo` / `amend` ledger event with `by` and `reason`; bankroll, high-water mark, stats, results and positions
+ * are then rebuilt from the ledger, so the fix applies where the result was booked (undo reopens its position).
+ * @returns { before, after (null on undo), bankroll, highWater, stats } or { error }
+ */
+function correctResult(s, id, change, { by, reason } = {}, file = fileOf(s)) {
+  if (!String(reason || '').trim()) return { error: 'reason is required' };
+  saveState(s, file); // anything not in the ledger yet goes first
+  const events = readLedger(file);
+  const before = findResult(s, id, events);
+  if (!before) return { error: `Unknown result "${id}"` };
+  let after = null;
+  if (!change.undo) {
+    const result = change.result === undefined ? before.result : String(change.result).toUpperCase();
+    const odds = change.odds === undefined ? before.odds : Number(change.odds);
+    const stake = change.stake === undefined ? before.stake : Number(change.stake);
+    if (!STAT[result]) return { error: `result must be one of ${RESULTS.join(', ')}` };
+    if (!(odds > 1)) return { error: 'odds must be > 1' };
+    if (!(stake > 0)) return { error: 'stake must be > 0' };
+    if (result === before.result && odds === before.odds && stake === before.stake) return { error: 'Nothing to change' };
+    const fee = before.fee ? Number((before.fee * stake / before.stake).toFixed(2)) : 0; // same rate on the amended stake
+    after = { ...before, result, odds: Number(odds.toFixed(3)), stake: Number(stake.toFixed(2)), fee, pnl: pnlOf(result, stake, odds, fee),
+              corrections: [...(before.corrections || []), { at: nowIso(), by: by || null, reason, from: { result: before.result, odds: before.odds, stake: before.stake } }] };
+  }
+  appendEvents(file, s, [change.undo ? { type: 'undo', resultId: before.id, by: by || null, reason, entry: before }
+                                     : { type: 'amend', resultId: before.id, by: by || null, reason, entry: after }]);
+  const r = replayLedger(file);
+  for (const k of ['bankroll', 'highWater', 'stats', 'results', 'positions']) s[k] = r[k];
+  writeAtomic(file, JSON.stringify(s, null, 2));
+  baselines.set(file, baselineOf(s));
+  if (after) after = s.results.find(x => x.id === after.id) || after; // with its replayed bankrollAfter
+  return { before, after, bankroll: s.bankroll, highWater: s.highWater, stats: { ...s.stats } };
+}
+
+/** Compare the file with a ledger replay: { ok, seq, diffs: [{ key, file, ledger }] }. */
+function checkState(file = STATE_PATH) {
+  const events = readLedger(file);
+  const replayed = replayLedger(file, events);
+  if (!replayed) return { ok: false, seq: null, diffs: [], error: 'The ledger has no snapshot to replay from' };
+  const { state } = readStateInfo(file);
+  const diffs = [];
+  for (const k of ['bankroll', 'highWater', 'stats', 'positions', 'results']) {
+    const a = k === 'results' ? state.results.length : k === 'positions' ? state.positions.map(p => p.id).join() : JSON.stringify(state[k]);
+    const b = k === 'results' ? replayed.results.length : k === 'positions' ? replayed.positions.map(p => p.id).join() : JSON.stringify(replayed[k]);
+    if (a !== b) diffs.push({ key: k, file: a, ledger: b });
+  }
+  return { ok: !diffs.length, seq: events.at(-1)?.seq ?? null, diffs };
+}
+
+function openPosition(planned, order) {
+  const { order: _o, at, ...bet } = planned;
+  const o = { id: order.id, ts: order.ts, status: order.status || null, requested: order.stake ?? null, filled: order.filledStake ?? null };
+  return { id: newId('pos'), ...bet, plannedAt: at || null, order: o, openedAt: order.ts || nowIso() };
+}
+
+function betRef(p) {
+  return { marketId: p?.marketId || null, question: p?.question || null, url: p?.url || null, category: p?.category || null,
+           outcome: p?.outcome || null, side: p?.side || null, price: p?.price ?? null };
+}
+
+/**
+ * Book a W / L / V(oid, stake refunded) / H(alf, 0.5 per share) for one position (or an unlinked bet when `pos` is null):
+ * moves bankroll, high-water mark and stats, prepends the result and closes the position. Does not save.
+ * `fee` (default: the position's) comes off the pnl whatever the result.
+ */
+function bookResult(state, pos, res, { odds, stake, fee = pos?.fee || 0, settledBy, source, note }) {
+  const pnl = pnlOf(res, stake, odds, fee);
+
+  state.bankroll = Math.max(0, Number((state.bankroll + pnl).toFixed(2)));
+  if (state.bankroll > state.highWater) state.highWater = state.bankroll;
+
+  const entry = { id: newId('res'), ts: nowIso(), result: res, stake: Number(stake.toFixed(2)), odds: Number(odds.toFixed(3)),
+                  fee: Number(Number(fee).toFixed(2)), pnl, bankrollAfter: state.bankroll, ...betRef(pos),
+                  positionId: pos?.id || null, orderId: pos?.order?.id || null, openedAt: pos?.openedAt || null,
+                  settledBy, settledAt: nowIso(), source, note: note || null };
+  state.results.unshift(entry); if (state.results.length > 5000) state.results.length = 5000;
+  state.stats[STAT[res]] = (state.stats[STAT[res]] || 0) + 1;
+  if (pos) state.positions = state.positions.filter(p => p !== pos);
+  return entry;
+}
+
+// Ledger tools:
+//   node state.js check            compare poly-state.json with a ledger replay
+//   node state.js replay [--write] rebuild from the ledger (--write replaces poly-state.json; betd must be stopped)
+if (require.main === module) {
+  const [cmd, flag] = process.argv.slice(2);
+  if (cmd === 'check') {
+    const r = checkState();
+    if (r.error) { console.error(`❌ ${r.error}`); process.exitCode = 1; }
+    else if (r.ok) console.log(`✅ poly-state.json matches the ledger (seq ${r.seq})`);
+    else { r.diffs.forEach(d => console.log(`✗ ${d.key}: file ${d.file} | ledger ${d.ledger}`)); process.exitCode = 1; }
+  } else if (cmd === 'replay') {
+    const s = replayLedger();
+    if (!s) { console.error('❌ The ledger has no snapshot to replay from'); process.exitCode = 1; }
+    else if (flag === '--write') { attach(STATE_PATH); writeAtomic(STATE_PATH, JSON.stringify(s, null, 2)); console.log(`✅ rebuilt poly-state.json from the ledger (seq ${s.ledgerSeq}, bankroll ${s.bankroll})`); }
+    else console.log(JSON.stringify({ ledgerSeq: s.ledgerSeq, bankroll: s.bankroll, highWater: s.highWater, stats: s.stats, positions: s.positions.length, results: s.results.length }, null, 2));
+  } else console.log('Commands: check, replay [--write]');
+}
+
+module.exports = { STATE_PATH, DEFAULT_STATE, RESULTS, pnlOf, nowIso, newId, freshState, normalizeState, loadState, saveState, openState, readLedger, replayLedger, checkState,
+                   correctResult,
+                   openPosition, betRef, bookResult };
@@ -2,17 +2,25 @@
 require('dotenv').config();
 const { Telegraf, Markup } = require('telegraf');
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { search } = require('./polymarket-scraper');
+const { DEFAULT_ACCOUNT } = require('./accounts');
 
 const TOKEN = process.env.BOT_TOKEN;
 if (!TOKEN) { console.error('❌ Missing BOT_TOKEN in .env'); process.exit(1); }
 
 const API = 'http://localhost:8787';
+const API_TOKEN = process.env.BETD_TOKEN; // betd admin token (auth.js); the bot gates its users itself
 const bot = new Telegraf(TOKEN);
 
 // ---- helpers ----
-function post(path, body) {
+function apiHeaders(h = {}){ return API_TOKEN ? { ...h, Authorization:`Bearer ${API_TOKEN}` } : h; }
+// betd's ?account= (the chat's account, see /account); none means DEFAULT_ACCOUNT
+function withAccount(path, account){ return account ? `${path}${path.includes('?')?'&':'?'}account=${encodeURIComponent(account)}` : path; }
+function post(path, body, account) {
   return new Promise((resolve, reject) => {
-    const req = http.request(`${API}${path}`, { method:'POST', headers:{'Content-Type':'application/json'}}, res => {
+    const req = http.request(`${API}${withAccount(path, account)}`, { method:'POST', headers:apiHeaders({'Content-Type':'application/json'}) }, res => {
       let data=''; res.on('data',d=>data+=d);
       res.on('end',()=>{ try{ resolve(JSON.parse(data||'{}')); } catch(e){ reject(e); } });
     });
@@ -20,22 +28,88 @@ function post(path, body) {
     req.write(JSON.stringify(body||{})); req.end();
   });
 }
-function get(path) {
+function del(path, account) {
   return new Promise((resolve, reject) => {
-    http.get(`${API}${path}`, res => {
+    const req = http.request(`${API}${withAccount(path, account)}`, { method:'DELETE', headers:apiHeaders() }, res => {
+      let data=''; res.on('data',d=>data+=d);
+      res.on('end',()=>{ try{ resolve(JSON.parse(data||'{}')); } catch(e){ reject(e); } });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+function get(path, account) {
+  return new Promise((resolve, reject) => {
+    http.get(`${API}${withAccount(path, account)}`, { headers:apiHeaders() }, res => {
       let data=''; res.on('data',d=>data+=d);
       res.on('end',()=>{ try{ resolve(JSON.parse(data||'{}')); } catch(e){ reject(e); } });
     }).on('error', reject);
   });
 }
 function fmt(n){ return Number(n).toLocaleString(undefined,{ maximumFractionDigits: 2}); }
+function who(ctx){ return ctx.from?.username ? `@${ctx.from.username}` : `id ${ctx.from?.id}`; }
+// /w [positionId] [odds]
+function resultArgs(ctx){
+  const out = {};
+  for (const a of ctx.message.text.split(' ').slice(1).filter(Boolean)) {
+    if (Number.isFinite(Number(a))) out.odds = Number(a); else out.positionId = a;
+  }
+  return out;
+}
+function betLabel(b){ return b?.question ? `${b.side} ${b.outcome} — ${b.question}` : 'unlinked bet'; }
+// /amend <resultId|last> [W|L|V|H] [odds=x] [stake=y] [reason…]
+function correctionArgs(ctx){
+  const out = { reason:[] };
+  for (const a of ctx.message.text.split(' ').slice(1).filter(Boolean)) {
+    const kv = /^(odds|stake)=(.+)$/i.exec(a);
+    if (!out.id && !out.reason.length && (a==='last' || a.startsWith('res_'))) out.id = a;
+    else if (kv) out[kv[1].toLowerCase()] = Number(kv[2]);
+    else if (/^[WLVH]$/i.test(a) && !out.result && !out.reason.length) out.result = a.toUpperCase();
+    else out.reason.push(a);
+  }
+  out.reason = out.reason.join(' ');
+  return out;
+}
+function correctionText(d){
+  const r = (x)=>`${x.result} ${fmt(x.stake)}@${x.odds} ${x.pnl>0?'+':''}${fmt(x.pnl)}`;
+  const head = d.action==='undo' ? `↩️ Undid ${r(d.before)}` : `✏️ ${d.action==='void'?'Voided':'Amended'} ${r(d.before)} → ${r(d.after)}`;
+  return `${head}  (bk ${fmt(d.bankroll)})\n${betLabel(d.before)}\n${d.by}: ${d.reason}${d.action==='undo'&&d.before.positionId?`\nPosition ${d.before.positionId} is open again`:''}`;
+}
+
+// ---- access ----
+// TELEGRAM_OPERATORS / TELEGRAM_VIEWERS: comma lists of Telegram user ids. Operators bet, settle and change
+// settings; viewers only read. With neither set, TELEGRAM_CHAT_ID (a private chat's id is the user's) is the operator.
+const idSet = (v) => new Set(String(v||'').split(',').map(s=>s.trim()).filter(Boolean));
+const OPERATORS = idSet(process.env.TELEGRAM_OPERATORS || (process.env.TELEGRAM_VIEWERS ? '' : process.env.TELEGRAM_CHAT_ID));
+const VIEWERS = idSet(process.env.TELEGRAM_VIEWERS);
+function roleOf(id){ return OPERATORS.has(String(id)) ? 'operator' : VIEWERS.has(String(id)) ? 'viewer' : null; }
+bot.use((ctx, next) => {
+  const role = roleOf(ctx.from?.id);
+  if (!role) {
+    console.warn(`[bot] ignored ${who(ctx)}: not in TELEGRAM_OPERATORS / TELEGRAM_VIEWERS`);
+    if (ctx.callbackQuery) return ctx.answerCbQuery('🔒 Not authorized');
+    return ctx.chat?.type==='private' && ctx.message ? ctx.reply(`🔒 Not authorized (your id is ${ctx.from?.id}).`) : undefined;
+  }
+  ctx.state.role = role;
+  ctx.state.account = chatAccount(ctx.chat?.id); // the betd account this chat works on
+  return next();
+});
+// true, after telling them, when the caller may only read
+function viewerOnly(ctx){
+  if (ctx.state.role==='operator') return false;
+  if (ctx.callbackQuery) ctx.answerCbQuery('🔒 Operators only'); else ctx.reply('🔒 Operators only.');
+  return true;
+}
 
 // ---- menu ----
 const menu = () => Markup.keyboard([
-  ['/status','/intel'],
-  ['/plan 1.92','/go'],
+  ['/status','/positions','/intel'],
+  ['/plan','/go'],
   ['/w 1.92','/l 1.92'],
   ['/odds 1.4 3.0','/pause','/resume'],
+  ['/risk','/fees','/strategy','/model'],
+  ['/autopilot','/autopilot dryrun','/autopilot off'],
+  ['/watch','/alerts','/digest','/report'],
   ['/polyfind','/polyfind sol']
 ]).resize();
 
@@ -45,20 +119,23 @@ bot.start(ctx => ctx.reply('🤖 Polytale Bet Bot ready.\nUse /menu to show shor
 bot.command('menu', ctx => ctx.reply('Menu:', menu()));
 
 bot.command('status', async ctx => {
-  const s = await get('/status');
+  const s = await get('/status', ctx.state.account);
   const lines = [];
-  lines.push(`💰 Bankroll: ${fmt(s.bankroll)}  |  HWM: ${fmt(s.highWater)}`);
-  lines.push(`🎯 Odds band: [${s.oddsBand.min}-${s.oddsBand.max}]`);
-  lines.push(`${s.paused ? '⏸️ Paused' : '▶️ Active'}`);
+  lines.push(`📒 ${s.account}  |  💰 Bankroll: ${fmt(s.bankroll)}  |  HWM: ${fmt(s.highWater)}`);
+  lines.push(`🎯 Odds band: [${s.oddsBand.min}-${s.oddsBand.max}]  |  📐 ${s.strategy?.name||'kelly'}  |  🔮 ${s.model||'—'}${s.autopilot&&s.autopilot!=='off'?`  |  🤖 ${s.autopilot}`:''}`);
+  lines.push(`${s.paused ? `⏸️ Paused${s.pauseReason?` — ${s.pauseReason}`:''}` : '▶️ Active'}`);
+  if (s.risk?.breaker) lines.push(`🛑 Breaker ${s.risk.breaker.code} — /resume ack to clear`);
+  if (s.planned) lines.push(`🧮 Planned: ${fmt(s.planned.stake)} @ ${s.planned.odds}  ${betLabel(s.planned)}`);
+  if (s.exposure) lines.push(`📤 Open: ${s.exposure.open}  at risk ${fmt(s.exposure.atRisk)} (${s.exposure.pctOfBankroll}%)`);
   lines.push(`Recent:`);
   (s.results||[]).forEach(r=>{
-    lines.push(`${r.result}  ${fmt(r.stake)}@${r.odds}  → ${r.pnl>0?'+':''}${fmt(r.pnl)}   (bk ${fmt(r.bankrollAfter)})`);
+    lines.push(`${r.result}${r.settledBy==='auto'?'·auto':''}${r.corrections?'·amended':''}  ${fmt(r.stake)}@${r.odds}  → ${r.pnl>0?'+':''}${fmt(r.pnl)}   (bk ${fmt(r.bankrollAfter)})  ${betLabel(r)}  ${r.id}`);
   });
   return ctx.reply(lines.join('\n'));
 });
 
 bot.command('intel', async ctx => {
-  const i = await get('/intel');
+  const i = await get('/intel', ctx.state.account);
   const cats = (i.topCategories||[]).map((c,idx)=>`${idx+1}. ${c.category} – ${c.count}`).join('\n') || '—';
   const msg = [
     `📊 *Intel*`,
@@ -72,57 +149,551 @@ bot.command('intel', async ctx => {
 });
 
 bot.command('plan', async ctx => {
-  const arg = (ctx.message.text.split(' ')[1]||'').trim();
-  const odds = Number(arg);
-  const out = await post('/plan', { odds: Number.isFinite(odds)?odds:undefined });
+  if (viewerOnly(ctx)) return;
+  // /plan <marketId|slug> [YES|NO] [outcome…]
+  const [marketId, side, ...rest] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (!marketId) return ctx.reply('Usage: /plan <marketId|slug> [YES|NO] [outcome]');
+  const out = await post('/plan', { marketId, side: side||'YES', outcome: rest.join(' ')||undefined }, ctx.state.account);
   if (out.paused) return ctx.reply(`⏸️ Paused: ${out.reason||''}`);
-  return ctx.reply(`🧮 Stake ${fmt(out.stake)} (${(out.fraction*100).toFixed(2)}%) @ ${out.odds}\nnotes: ${out.notes?.join(' | ')||'—'}`);
+  if (out.error) return ctx.reply(`❌ ${out.error}`);
+  const model = out.model ? `\n🔮 ${out.model.name} p=${out.model.prob} conf=${out.model.confidence} edge ${out.model.edge}` : out.warning ? `\n⚠️ ${out.warning}` : '';
+  return ctx.reply(`🧮 Stake ${fmt(out.stake)} (${(out.fraction*100).toFixed(2)}%) @ ${out.odds} (price ${out.price})${model}\n${betLabel(out)}\n${out.url||''}\nnotes: ${out.notes?.join(' | ')||'—'}`);
 });
 
 bot.command('go', async ctx => {
-  const out = await post('/execute');
+  if (viewerOnly(ctx)) return;
+  const out = await post('/execute', undefined, ctx.state.account);
   if (out.error) return ctx.reply(`❌ ${out.error}`);
-  return ctx.reply(`📤 Paper order ${out.order.id} placed for ${fmt(out.planned.stake)} @ ${out.planned.odds}`);
+  const partial = out.order.status==='PARTIAL' ? `  (partial: ${fmt(out.order.filledStake)} of ${fmt(out.order.stake)})` : '';
+  const cost = out.position.fee ? `  fee ${fmt(out.position.fee)}` : '';
+  const warn = out.position.warning ? `\n⚠️ ${out.position.warning}` : '';
+  return ctx.reply(`📤 Order ${out.order.id} ${out.order.status} for ${fmt(out.position.stake)} @ ${out.position.odds}${cost}${partial}${warn}\n${betLabel(out.position)}\nposition ${out.position.id}  |  at risk ${fmt(out.exposure.atRisk)}`);
+});
+
+bot.command('positions', async ctx => {
+  const { positions, exposure } = await get('/positions', ctx.state.account);
+  if (!positions.length) return ctx.reply('No open positions.');
+  const lines = positions.map(p=>`${p.id}  ${fmt(p.stake)}@${p.odds}  ${betLabel(p)}`);
+  lines.push(`At risk ${fmt(exposure.atRisk)} (${exposure.pctOfBankroll}%)  |  available ${fmt(exposure.available)}`);
+  return ctx.reply(lines.join('\n'));
+});
+
+bot.command('cancel', async ctx => {
+  if (viewerOnly(ctx)) return;
+  const id = (ctx.message.text.split(' ')[1]||'').trim();
+  if (!id) return ctx.reply('Usage: /cancel <positionId>');
+  const out = await del(`/positions/${encodeURIComponent(id)}`, ctx.state.account);
+  if (out.error) return ctx.reply(`❌ ${out.error}`);
+  return ctx.reply(`🗑️ Cancelled ${out.cancelled.id}\n${betLabel(out.cancelled)}`);
 });
 
 bot.command('w', async ctx => {
-  const arg = (ctx.message.text.split(' ')[1]||'').trim();
-  const odds = Number(arg);
-  const out = await post('/result', { result:'W', odds: Number.isFinite(odds)?odds:undefined });
+  if (viewerOnly(ctx)) return;
+  const { positionId, odds } = resultArgs(ctx);
+  const out = await post('/result', { result:'W', positionId, odds, note:`manual via Telegram (${who(ctx)})` }, ctx.state.account);
   if (out.error) return ctx.reply(`❌ ${out.error}`);
-  return ctx.reply(`✅ WIN  +${fmt(out.pnl)}  (bk ${fmt(out.bankrollAfter)})`);
+  return ctx.reply(`✅ WIN  +${fmt(out.pnl)}  (bk ${fmt(out.bankrollAfter)})\n${betLabel(out)}\nWrong? /undo or /amend ${out.id} L <reason>`);
 });
 
 bot.command('l', async ctx => {
-  const arg = (ctx.message.text.split(' ')[1]||'').trim();
-  const odds = Number(arg);
-  const out = await post('/result', { result:'L', odds: Number.isFinite(odds)?odds:undefined });
+  if (viewerOnly(ctx)) return;
+  const { positionId, odds } = resultArgs(ctx);
+  const out = await post('/result', { result:'L', positionId, odds, note:`manual via Telegram (${who(ctx)})` }, ctx.state.account);
   if (out.error) return ctx.reply(`❌ ${out.error}`);
-  return ctx.reply(`❌ LOSS  ${fmt(out.pnl)}  (bk ${fmt(out.bankrollAfter)})`);
+  return ctx.reply(`❌ LOSS  ${fmt(out.pnl)}  (bk ${fmt(out.bankrollAfter)})\n${betLabel(out)}\nWrong? /undo or /amend ${out.id} W <reason>`);
+});
+
+// corrections go through betd's ledger, stamped with who asked and why
+bot.command('undo', async ctx => {
+  if (viewerOnly(ctx)) return;
+  const { id, reason } = correctionArgs(ctx);
+  const out = await post('/results/undo', { resultId:id||'last', reason:reason||'undo via Telegram', by:`telegram ${who(ctx)}` }, ctx.state.account);
+  return ctx.reply(out.error ? `❌ ${out.error}` : correctionText(out));
+});
+
+bot.command('void', async ctx => {
+  if (viewerOnly(ctx)) return;
+  const { id, reason } = correctionArgs(ctx);
+  if (!id || !reason) return ctx.reply('Usage: /void <resultId|last> <reason>');
+  const out = await post(`/results/${encodeURIComponent(id)}/void`, { reason, by:`telegram ${who(ctx)}` }, ctx.state.account);
+  return ctx.reply(out.error ? `❌ ${out.error}` : correctionText(out));
+});
+
+bot.command('amend', async ctx => {
+  if (viewerOnly(ctx)) return;
+  const { id, result, odds, stake, reason } = correctionArgs(ctx);
+  if (!id || !reason || (result===undefined && odds===undefined && stake===undefined)) return ctx.reply('Usage: /amend <resultId|last> [W|L|V|H] [odds=1.9] [stake=10] <reason>');
+  const out = await post(`/results/${encodeURIComponent(id)}/amend`, { result, odds, stake, reason, by:`telegram ${who(ctx)}` }, ctx.state.account);
+  return ctx.reply(out.error ? `❌ ${out.error}` : correctionText(out));
 });
 
 bot.command('pause', async ctx => {
+  if (viewerOnly(ctx)) return;
   const reason = ctx.message.text.split(' ').slice(1).join(' ');
-  const out = await post('/pause', { reason });
+  const out = await post('/pause', { reason }, ctx.state.account);
+  if (out.error) return ctx.reply(`❌ ${out.error}`);
   return ctx.reply(`⏸️ Paused ${out.reason?`(${out.reason})`:''}`);
 });
 
 bot.command('resume', async ctx => {
-  const out = await post('/resume', {});
-  return ctx.reply(`▶️ Resumed`);
+  if (viewerOnly(ctx)) return;
+  // /resume [ack [note…]] — a tripped breaker needs the ack
+  const [word, ...note] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  const ack = String(word||'').toLowerCase()==='ack';
+  const out = await post('/resume', { ack, note: note.join(' ')||undefined, by: who(ctx) }, ctx.state.account);
+  if (out.error) return ctx.reply(`🛑 ${out.error}\nSend /resume ack to acknowledge.`);
+  return ctx.reply(`▶️ Resumed${out.ack?` (acknowledged ${out.ack.code})`:''}`);
+});
+
+bot.command('risk', async ctx => {
+  // /risk                 -> usage vs limits
+  // /risk key=value …     -> change limits
+  const pairs = ctx.message.text.split(' ').slice(1).filter(Boolean).map(p=>p.split('=')).filter(p=>p.length===2);
+  if (pairs.length && viewerOnly(ctx)) return;
+  const r = pairs.length ? await post('/risk', { limits:Object.fromEntries(pairs) }, ctx.state.account) : await get('/risk', ctx.state.account);
+  if (r.error) return ctx.reply(`❌ ${r.error}`);
+  const u = r.usage, l = r.limits, p = (x)=>`${(x*100).toFixed(1)}%`;
+  const lines = [
+    `🛡️ Risk`,
+    `Drawdown ${p(u.drawdownPct)} / ${p(l.maxDrawdownPct)}`,
+    `Daily loss ${p(u.dailyLossPct)} / ${p(l.maxDailyLossPct)}`,
+    `Daily exposure ${p(u.dailyExposurePct)} / ${p(l.maxDailyExposurePct)}`,
+    `Open positions ${u.openPositions} / ${l.maxOpenPositions}`
+  ];
+  if (r.breaker) lines.push(`🛑 Tripped: ${r.breaker.message}  (/resume ack)`);
+  return ctx.reply(lines.join('\n'));
+});
+
+bot.command('fees', async ctx => {
+  // /fees                                 -> taker fee + slippage cap the planner uses
+  // /fees feeRate=0.01 maxSlippage=0.03   -> change them
+  const pairs = ctx.message.text.split(' ').slice(1).filter(Boolean).map(p=>p.split('=')).filter(p=>p.length===2);
+  if (pairs.length && viewerOnly(ctx)) return;
+  const r = pairs.length ? await post('/execution', { execution:Object.fromEntries(pairs) }, ctx.state.account) : await get('/execution', ctx.state.account);
+  if (r.error) return ctx.reply(`❌ ${r.error}`);
+  const e = r.execution, p = (x)=>`${(x*100).toFixed(2)}%`;
+  return ctx.reply(`💸 Taker fee ${p(e.feeRate)} of stake  |  max slippage ${p(e.maxSlippage)} over the quote`);
 });
 
 bot.command('odds', async ctx => {
+  if (viewerOnly(ctx)) return;
   const parts = ctx.message.text.split(' ').slice(1).map(Number);
   const [min,max] = parts;
   if (!Number.isFinite(min) || !Number.isFinite(max)) return ctx.reply('Usage: /odds 1.4 3.0');
-  const out = await post('/oddsband',{min,max});
+  const out = await post('/oddsband',{min,max}, ctx.state.account);
   if (out.error) return ctx.reply(`❌ ${out.error}`);
   return ctx.reply(`🎯 Odds band set to [${out.min}-${out.max}]`);
 });
 
-// (Your existing /polyfind handler remains unchanged if you already have it)
+bot.command('account', async ctx => {
+  // /account                                             -> accounts, and which one this chat works on
+  // /account <name>                                      -> switch this chat (commands and alerts) to it
+  // /account new <name> <bankroll> [strategy] [key=value …]
+  const [a, ...rest] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (a==='new') {
+    if (viewerOnly(ctx)) return;
+    const [name, bankroll, strategy, ...pairs] = rest;
+    if (!name || !bankroll) return ctx.reply('Usage: /account new <name> <bankroll> [strategy] [key=value …]');
+    const config = Object.fromEntries(pairs.map(p=>p.split('=')).filter(p=>p.length===2));
+    const out = await post('/accounts', { name, bankroll:Number(bankroll), strategy:strategy ? { name:strategy, config } : undefined });
+    if (out.error) return ctx.reply(`❌ ${out.error}`);
+    setChatAccount(ctx.chat.id, out.account);
+    return ctx.reply(`🆕 Account ${out.account}: ${fmt(out.bankroll)} with ${out.strategy.name}. This chat now uses it.`);
+  }
+  const { accounts, total } = await get('/accounts');
+  if (a) {
+    if (!accounts.some(x=>x.name===a)) return ctx.reply(`Unknown account "${a}". Accounts: ${accounts.map(x=>x.name).join(', ')}`);
+    setChatAccount(ctx.chat.id, a);
+    return ctx.reply(`📒 This chat now works on ${a}.`);
+  }
+  const cur = ctx.state.account || DEFAULT_ACCOUNT;
+  const lines = accounts.map(x=>`${x.name===cur?'👉':'▫️'} ${x.name}  ${fmt(x.bankroll)}  PnL ${x.pnl>0?'+':''}${fmt(x.pnl)}  ${x.bets} bets  📐 ${x.strategy}${x.paused?'  ⏸️':''}${x.breaker?'  🛑':''}`);
+  lines.push(`Σ ${fmt(total.bankroll)}  PnL ${total.pnl>0?'+':''}${fmt(total.pnl)}  open ${total.open} (${fmt(total.atRisk)} at risk)`);
+  return ctx.reply(lines.join('\n'));
+});
+
+bot.command('strategy', async ctx => {
+  // /strategy                         -> active + options
+  // /strategy <name> [key=value …]    -> switch; unset keys take defaults
+  const [name, ...pairs] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (name && viewerOnly(ctx)) return;
+  if (!name) {
+    const { active, strategies } = await get('/strategy', ctx.state.account);
+    const lines = [`📐 Active: ${active.name}`, ...Object.entries(active.config).map(([k,v])=>`  ${k} = ${JSON.stringify(v)}`), '', 'Options:'];
+    strategies.forEach(x=>lines.push(`• ${x.name} — ${x.description}`));
+    return ctx.reply(lines.join('\n'));
+  }
+  const config = Object.fromEntries(pairs.map(p=>p.split('=')).filter(p=>p.length===2));
+  const out = await post('/strategy', { name, config }, ctx.state.account);
+  if (out.error) return ctx.reply(`❌ ${out.error}`);
+  return ctx.reply(`📐 Strategy ${out.active.name}\n${Object.entries(out.active.config).map(([k,v])=>`${k}=${JSON.stringify(v)}`).join('  ')}`);
+});
+
+bot.command('model', async ctx => {
+  // /model                                          -> active + options + overrides
+  // /model <name>                                   -> switch
+  // /model set <marketId> <prob> [confidence] [outcome]  |  /model clear <marketId>
+  const [a, id, prob, conf, ...rest] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (a && viewerOnly(ctx)) return;
+  if (!a) {
+    const { active, models, overrides } = await get('/model', ctx.state.account);
+    const lines = [`🔮 Active: ${active}`, '', 'Options:'];
+    models.forEach(x=>lines.push(`• ${x.name} — ${x.description}`));
+    const ov = Object.entries(overrides||{});
+    if (ov.length) lines.push('', 'Manual estimates:', ...ov.flatMap(([m,o])=>Object.entries(o).map(([k,e])=>`  ${m} ${k==='*'?'':k+' '}p=${e.prob} conf=${e.confidence}${e.note?` — ${e.note}`:''}`)));
+    return ctx.reply(lines.join('\n'));
+  }
+  if (a==='set') {
+    if (!id || prob===undefined) return ctx.reply('Usage: /model set <marketId> <prob> [confidence] [outcome]');
+    const out = await post('/model/override', { marketId:id, prob:Number(prob), confidence:conf!==undefined?Number(conf):undefined, outcome:rest.join(' ')||undefined, note:`via Telegram (${who(ctx)})` }, ctx.state.account);
+    if (out.error) return ctx.reply(`❌ ${out.error}`);
+    return ctx.reply(`🔮 Manual estimate for ${out.marketId}: ${Object.entries(out.overrides).map(([k,e])=>`${k} p=${e.prob} conf=${e.confidence}`).join(', ')}`);
+  }
+  if (a==='clear') {
+    if (!id) return ctx.reply('Usage: /model clear <marketId>');
+    const out = await del(`/model/override/${encodeURIComponent(id)}`, ctx.state.account);
+    if (out.error) return ctx.reply(`❌ ${out.error}`);
+    return ctx.reply(`🔮 Cleared manual estimates for ${out.marketId}`);
+  }
+  const out = await post('/model', { name:a }, ctx.state.account);
+  if (out.error) return ctx.reply(`❌ ${out.error}`);
+  return ctx.reply(`🔮 Model ${out.active}`);
+});
+
+bot.command('autopilot', async ctx => {
+  // /autopilot                      -> mode, filters, last run
+  // /autopilot on|off|dryrun        -> switch mode
+  // /autopilot set key=value …      -> filters (lists comma-separated, e.g. categories=Crypto,Sports)
+  // /autopilot run [dryrun]         -> one pass now
+  const [a, ...args] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (a && viewerOnly(ctx)) return;
+  if (['on','off','dryrun'].includes(a)) {
+    const out = await post('/autopilot', { mode:a }, ctx.state.account);
+    if (out.error) return ctx.reply(`❌ ${out.error}`);
+    return ctx.reply(`🤖 Autopilot ${out.mode}${out.mode==='on'?' — will execute bets after each refresh':out.mode==='dryrun'?' — logging decisions only':''}`);
+  }
+  if (a==='set') {
+    const filters = Object.fromEntries(args.map(p=>p.split('=')).filter(p=>p.length===2));
+    const out = await post('/autopilot', { filters }, ctx.state.account);
+    if (out.error) return ctx.reply(`❌ ${out.error}`);
+    return ctx.reply(`🤖 Filters: ${Object.entries(out.filters).map(([k,v])=>`${k}=${Array.isArray(v)?v.join(','):v}`).join('  ')}`);
+  }
+  if (a==='run') {
+    const r = await post('/autopilot/run', { mode:args[0] }, ctx.state.account);
+    if (r.error) return ctx.reply(`❌ ${r.error}`);
+    const rej = Object.entries(r.rejected).map(([k,n])=>`${k} ${n}`).join(', ');
+    return ctx.reply([`🤖 ${r.mode} run: ${r.skipped || `${r.considered} candidates`}${rej?`  (rejected: ${rej})`:''}`,
+      ...r.decisions.map(x=>`${x.action} ${fmt(x.stake)} @ ${x.odds} (edge ${x.edge})  ${betLabel(x)}${x.reason?` — ${x.reason}`:''}`)].join('\n') || '—');
+  }
+  if (a) return ctx.reply('Usage: /autopilot [on|off|dryrun] | set key=value … | run [dryrun]');
+  const { mode, filters, lastRun } = await get('/autopilot', ctx.state.account);
+  const lines = [`🤖 Autopilot: ${mode}`, ...Object.entries(filters).map(([k,v])=>`  ${k} = ${Array.isArray(v)?(v.join(',')||'—'):v===''?'—':v}`)];
+  if (lastRun) lines.push('', `Last run ${lastRun.ts} (${lastRun.mode}, ${lastRun.trigger}): ${lastRun.skipped || `${lastRun.considered} candidates, ${lastRun.decisions.length} decisions`}`,
+    ...lastRun.decisions.map(x=>`  ${x.action} ${fmt(x.stake)} @ ${x.odds}  ${betLabel(x)}`));
+  return ctx.reply(lines.join('\n'));
+});
+
+bot.command('watch', async ctx => {
+  // /watch                                                       -> rules with current prices
+  // /watch <marketId|slug> <YES|NO> <op> <price> [plan] [outcome…]  e.g. /watch 17 YES <= 0.40 plan
+  const [id, side, op, price, ...rest] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (id && viewerOnly(ctx)) return;
+  if (!id) {
+    const { watches } = await get('/watchlist', ctx.state.account);
+    if (!watches.length) return ctx.reply('No watches. /watch <marketId|slug> <YES|NO> <op> <price> [plan] [outcome]');
+    return ctx.reply(watches.map(w=>`${w.id}  ${w.side} ${w.outcome} ${w.op} ${w.price}  now ${w.current??'—'}${w.met?' ✅':''}  [${w.status}${w.autoPlan?', plan':''}]\n  ${w.question}`).join('\n'));
+  }
+  if (!side || !op || price===undefined) return ctx.reply('Usage: /watch <marketId|slug> <YES|NO> <op> <price> [plan] [outcome]\nop: < <= > >= above below');
+  const autoPlan = rest[0]==='plan';
+  if (autoPlan) rest.shift();
+  const out = await post('/watchlist', { marketId:id, side, op, price:Number(price), outcome:rest.join(' ')||undefined, autoPlan, by:who(ctx) }, ctx.state.account);
+  if (out.error) return ctx.reply(`❌ ${out.error}`);
+  const w = out.watch;
+  if (!alerts.chats[String(ctx.chat.id)]) { chatPrefs(ctx.chat.id); saveAlerts(); } // the chat that set it hears when it fires
+  return ctx.reply(`👀 ${w.id}: ${w.side} ${w.outcome} ${w.op} ${w.price} (now ${w.current}${w.met?', already met — fires on the next refresh':''})${w.autoPlan?'\n🧮 will plan when it fires':''}\n${w.question}`);
+});
+
+bot.command('unwatch', async ctx => {
+  if (viewerOnly(ctx)) return;
+  const id = (ctx.message.text.split(' ')[1]||'').trim();
+  if (!id) return ctx.reply('Usage: /unwatch <watchId> (see /watch)');
+  const out = await del(`/watchlist/${encodeURIComponent(id)}`, ctx.state.account);
+  if (out.error) return ctx.reply(`❌ ${out.error}`);
+  return ctx.reply(`🗑️ Removed ${out.removed.id}: ${out.removed.side} ${out.removed.outcome} ${out.removed.op} ${out.removed.price}`);
+});
+
+// ---- /polyfind ----
+const FIND_PAGE = 5, FIND_LIMIT = 40;
+const finds = new Map(); // search id -> { q, band, items }; keeps the latest 50 so old buttons still work
+let findSeq = 0;
+
+function findPage(sid, page) {
+  const f = finds.get(sid);
+  const pages = Math.max(1, Math.ceil(f.items.length / FIND_PAGE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const slice = f.items.slice(p * FIND_PAGE, (p + 1) * FIND_PAGE);
+  const lines = [`🔎 "${f.q||'*'}"  odds [${f.band.min}-${f.band.max}]  — page ${p+1}/${pages}`, ''];
+  slice.forEach((c, i) => {
+    lines.push(`${p*FIND_PAGE+i+1}. ${c.title}`);
+    lines.push(`    ${c.side} ${c.outcome} @ ${c.odds}  ·  liq ${fmt(c.liquidity)}`);
+  });
+  const rows = slice.map((c, i) => [Markup.button.callback(`🧮 Plan #${p*FIND_PAGE+i+1} ${c.side} ${c.outcome}`.slice(0, 60), `pf:${sid}:plan:${p*FIND_PAGE+i}`)]);
+  const nav = [];
+  if (p > 0) nav.push(Markup.button.callback('◀️ Prev', `pf:${sid}:page:${p-1}`));
+  if (p < pages - 1) nav.push(Markup.button.callback('Next ▶️', `pf:${sid}:page:${p+1}`));
+  if (nav.length) rows.push(nav);
+  return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(rows) };
+}
+
+bot.command('polyfind', async ctx => {
+  // /polyfind <query…> [minOdds maxOdds]; band defaults to the daemon's oddsBand
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  let band;
+  if (args.length >= 2 && args.slice(-2).every(a => Number.isFinite(Number(a)))) {
+    const [min, max] = args.splice(-2).map(Number);
+    band = { min, max };
+  } else band = (await get('/status', ctx.state.account)).oddsBand;
+  const q = args.join(' ');
+  let items;
+  try { items = search({ q, minOdds: band.min, maxOdds: band.max, limit: FIND_LIMIT }); }
+  catch (e) { return ctx.reply(`❌ search failed: ${e.message}`); }
+  if (!items.length) return ctx.reply(`No markets in [${band.min}-${band.max}] for "${q||'*'}".`);
+  const sid = String(++findSeq);
+  finds.set(sid, { q, band, items });
+  if (finds.size > 50) finds.delete(finds.keys().next().value);
+  const { text, keyboard } = findPage(sid, 0);
+  return ctx.reply(text, keyboard);
+});
+
+bot.action(/^pf:(\d+):page:(\d+)$/, async ctx => {
+  const [, sid, page] = ctx.match;
+  if (!finds.has(sid)) return ctx.answerCbQuery('Search expired — run /polyfind again.');
+  const { text, keyboard } = findPage(sid, Number(page));
+  await ctx.answerCbQuery();
+  return ctx.editMessageText(text, keyboard);
+});
+
+bot.action(/^pf:(\d+):plan:(\d+)$/, async ctx => {
+  if (viewerOnly(ctx)) return;
+  const [, sid, idx] = ctx.match;
+  const c = finds.get(sid)?.items[Number(idx)];
+  if (!c) return ctx.answerCbQuery('Search expired — run /polyfind again.');
+  await ctx.answerCbQuery('Planning…');
+  const out = await post('/plan', { marketId: c.marketId, outcome: c.outcome, side: c.side }, ctx.state.account);
+  if (out.paused) return ctx.reply(`⏸️ Paused: ${out.reason||''}`);
+  if (out.error) return ctx.reply(`❌ ${out.error}`);
+  const model = out.model ? `\n🔮 ${out.model.name} p=${out.model.prob} conf=${out.model.confidence} edge ${out.model.edge}` : out.warning ? `\n⚠️ ${out.warning}` : '';
+  return ctx.reply(`🧮 Stake ${fmt(out.stake)} (${(out.fraction*100).toFixed(2)}%) @ ${out.odds} (price ${out.price})${model}\n${betLabel(out)}\nUse /go to execute.`);
+});
+
+// ---- alerts ----
+// Pushed without being asked, per chat: settled bets, breaker trips, drawdown crossings, a stale refresher,
+// /watch rules firing and new opportunities (from betd's /events stream), plus daily/weekly PnL digests.
+// Chat settings live in logs/telegram-alerts.json; TELEGRAM_CHAT_ID starts out with the defaults.
+const ALERTS_PATH = path.join(__dirname, 'logs', 'telegram-alerts.json');
+const ALERT_TYPES = {
+  settled: 'a bet settled (auto or manual) or a result was corrected',
+  breaker: 'a risk breaker tripped',
+  drawdown: 'drawdown from high-water crossed <fraction> (default 0.1)',
+  stale: 'markets refresher silent for <minutes> (default 30)',
+  watch: 'a /watch rule fired',
+  autopilot: 'the autopilot bet (or, in dryrun, would have)',
+  opportunities: 'new arbitrage / mispricing opportunities',
+  digest: 'PnL digest, daily|weekly [hour]'
+};
+const DEFAULT_ON = ['settled','breaker','drawdown','stale','watch','autopilot'];
+const DRAWDOWN_PCT = Number(process.env.ALERT_DRAWDOWN_PCT || 0.1);
+const STALE_MIN = Number(process.env.ALERT_STALE_MIN || 30);
+const DIGEST_HOUR = Number(process.env.DIGEST_HOUR || 8); // server local time; weekly digests go out on Mondays
+const CHECK_MS = 60_000;
+
+const alerts = (()=>{ try { return JSON.parse(fs.readFileSync(ALERTS_PATH,'utf8')); } catch { return { chats:{} }; } })();
+function saveAlerts(){
+  fs.mkdirSync(path.dirname(ALERTS_PATH), { recursive:true });
+  fs.writeFileSync(`${ALERTS_PATH}.tmp`, JSON.stringify(alerts, null, 2)); fs.renameSync(`${ALERTS_PATH}.tmp`, ALERTS_PATH);
+}
+function chatPrefs(id){
+  return alerts.chats[String(id)] ||= { on:[...DEFAULT_ON], drawdownPct:DRAWDOWN_PCT, staleMin:STALE_MIN,
+                                         digest:{ every:'daily', hour:DIGEST_HOUR, last:null } };
+}
+if (process.env.TELEGRAM_CHAT_ID && !alerts.chats[process.env.TELEGRAM_CHAT_ID]) { chatPrefs(process.env.TELEGRAM_CHAT_ID); saveAlerts(); }
+// chat -> account (/account); kept apart from the alert prefs so switching doesn't sign a chat up for alerts
+function chatAccount(id){ return alerts.accounts?.[String(id)] || null; }
+function setChatAccount(id, name){ (alerts.accounts ||= {})[String(id)] = name; saveAlerts(); }
+
+// `account` (an event's) narrows to the chats working on it; market-wide alerts go to everyone
+const chatsFor = (type, account) => Object.entries(alerts.chats).filter(([id,c])=>c.on.includes(type) && (!account || (chatAccount(id)||DEFAULT_ACCOUNT)===account));
+function send(id, text){ return bot.telegram.sendMessage(id, text, { disable_web_page_preview:true }).catch(e=>console.error(`[bot] alert to ${id}:`, e.message)); }
+function push(type, text, account){ chatsFor(type, account).forEach(([id])=>send(id, account && account!==DEFAULT_ACCOUNT ? `[${account}] ${text}` : text)); }
+
+// edge-triggered: alert once when a chat's drawdown threshold is crossed, re-arm once back under it
+async function checkDrawdown(account){
+  const chats = chatsFor('drawdown', account);
+  if (!chats.length) return;
+  const risk = new Map(); // account -> /risk, fetched once
+  let dirty = false;
+  for (const [id, c] of chats) {
+    const acct = chatAccount(id)||DEFAULT_ACCOUNT;
+    if (!risk.has(acct)) risk.set(acct, await get('/risk', acct));
+    const { usage, limits } = risk.get(acct);
+    if (usage === undefined) continue; // account gone
+    const over = usage.drawdownPct >= c.drawdownPct;
+    if (over && !c.ddAlerted) send(id, `📉 ${acct===DEFAULT_ACCOUNT?'':`[${acct}] `}Drawdown ${(usage.drawdownPct*100).toFixed(1)}% from high-water (alert at ${(c.drawdownPct*100).toFixed(1)}%, breaker at ${(limits.maxDrawdownPct*100).toFixed(1)}%)`);
+    if (over !== !!c.ddAlerted) { c.ddAlerted = over; dirty = true; }
+  }
+  if (dirty) saveAlerts();
+}
+async function checkStale(){
+  const chats = chatsFor('stale');
+  if (!chats.length) return;
+  const i = await get('/intel');
+  const last = i.lastCheck || i.lastRefresh;
+  if (!last) return;
+  const age = (Date.now()-Date.parse(last))/60000;
+  let dirty = false;
+  for (const [id, c] of chats) {
+    const stale = age >= c.staleMin;
+    if (stale && !c.staleAlerted) send(id, `⚠️ Markets refresher stale: last check ${Math.round(age)} min ago (${last})`);
+    if (!stale && c.staleAlerted) send(id, `✅ Markets refresher back (checked ${last})`);
+    if (stale !== !!c.staleAlerted) { c.staleAlerted = stale; dirty = true; }
+  }
+  if (dirty) saveAlerts();
+}
+async function digestText(every, account){
+  const since = new Date(Date.now() - (every==='weekly' ? 7 : 1)*86400000).toISOString();
+  const r = await get(`/report?since=${encodeURIComponent(since)}`, account), p = r.period;
+  if (r.error) return `❌ ${r.error}`;
+  const lines = [`📅 ${every==='weekly'?'Weekly':'Daily'} digest${account&&account!==DEFAULT_ACCOUNT?` [${account}]`:''} — since ${since.slice(0,16).replace('T',' ')}`,
+    `Bets ${p.bets}: ${p.wins}W ${p.losses}L ${p.voids}V${p.splits?` ${p.splits}H`:''}  |  PnL ${p.pnl>0?'+':''}${fmt(p.pnl)} on ${fmt(p.staked)} staked (${p.roi}%)${p.fees?`, after ${fmt(p.fees)} fees`:''}`,
+    `💰 Bankroll ${fmt(r.bankroll)}  |  HWM ${fmt(r.highWater)}`,
+    `All-time: ${r.totalBets} bets, ${r.winrate}% wins, PnL ${r.pnlAll>0?'+':''}${fmt(r.pnlAll)}`];
+  if (p.best && p.best.pnl>0) lines.push(`Best: +${fmt(p.best.pnl)}  ${betLabel(p.best)}`);
+  if (p.worst && p.worst.pnl<0) lines.push(`Worst: ${fmt(p.worst.pnl)}  ${betLabel(p.worst)}`);
+  return lines.join('\n');
+}
+async function checkDigests(now = new Date()){
+  const today = now.toDateString();
+  for (const [id, c] of chatsFor('digest')) {
+    const d = c.digest;
+    if (now.getHours()!==d.hour || (d.every==='weekly' && now.getDay()!==1) || d.last===today) continue;
+    d.last = today; saveAlerts();
+    send(id, await digestText(d.every, chatAccount(id)));
+  }
+}
+
+async function onEvent(e){
+  const d = e.data, acct = e.account || undefined;
+  if (e.type==='result.recorded') {
+    const tag = d.result==='W' ? '✅ WIN' : d.result==='L' ? '❌ LOSS' : d.result==='H' ? '➗ 50/50' : '↩️ VOID';
+    push('settled', `${tag}  ${d.pnl>0?'+':''}${fmt(d.pnl)}  (bk ${fmt(d.bankrollAfter)})\n${betLabel(d)}\n${d.settledBy}${d.note?`: ${d.note}`:''}`, acct);
+    await checkDrawdown(acct);
+  }
+  if (e.type==='result.corrected') { push('settled', correctionText(d), acct); await checkDrawdown(acct); }
+  if (e.type==='breaker.tripped') push('breaker', `🛑 Breaker tripped — betd paused\n${d.message}\nResume with /resume ack`, acct);
+  if (e.type==='opportunities.new')
+    push('opportunities', ['💡 New opportunities', ...d.items.slice(0,5).map(o=>`${o.type}  +${o.expectedProfit} on ${o.stake} (${(o.roi*100).toFixed(2)}%)\n${o.question}\n${o.note}${o.url?`\n${o.url}`:''}`)].join('\n\n'));
+  if (e.type==='autopilot.run' && d.decisions.length)
+    push('autopilot', [`🤖 Autopilot ${d.mode}`, ...d.decisions.map(x=>`${x.action==='bet'?'📤':x.action==='would-bet'?'📝':'⛔'} ${x.action} ${fmt(x.stake)} @ ${x.odds} (edge ${x.edge})  ${betLabel(x)}${x.reason?`\n${x.reason}`:''}`)].join('\n'), acct);
+  if (e.type==='watch.triggered') {
+    const { watch:w, price, plan } = d;
+    const p = !plan ? '' : plan.error || plan.paused ? `\nplan: ${plan.error||plan.reason}` : `\n🧮 Planned ${fmt(plan.stake)} @ ${plan.odds} — /go to execute${plan.warning?`\n⚠️ ${plan.warning}`:''}`;
+    push('watch', `👀 ${w.side} ${w.outcome} at ${price} (${w.op} ${w.price})\n${w.question}${w.note?`\n${w.note}`:''}${p}\n${w.url||''}`, acct);
+  }
+}
+
+// betd's /events as a reconnecting SSE client; while connected, betd leaves Telegram pushes to us
+let lastEventId = null;
+function listen(){
+  let retried = false;
+  const retry = ()=>{ if (retried) return; retried = true; setTimeout(listen, 5000); };
+  const req = http.get(`${API}/events?client=telegram-bot`, { headers: apiHeaders(lastEventId ? { 'Last-Event-ID':String(lastEventId) } : {}) }, res => {
+    if (res.statusCode!==200) { res.resume(); return retry(); }
+    let buf = '';
+    res.setEncoding('utf8');
+    res.on('data', c => {
+      buf += c;
+      let i;
+      while ((i = buf.indexOf('\n\n')) >= 0) {
+        const f = Object.fromEntries(buf.slice(0, i).split('\n').filter(l=>l && !l.startsWith(':')).map(l=>[l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':')+1).trim()]));
+        buf = buf.slice(i+2);
+        if (f.id) lastEventId = f.id;
+        if (!f.data || f.event==='ready') continue;
+        let evt;
+        try { evt = JSON.parse(f.data); } catch(e){ console.error('[bot] skipping bad event frame', f.id ?? '', f.event ?? '', e.message); continue; }
+        onEvent(evt).catch(e=>console.error('[bot] event', f.event, e.message));
+      }
+    });
+    res.on('end', retry); res.on('error', retry);
+  });
+  req.on('error', retry);
+}
+
+bot.command('alerts', async ctx => {
+  // /alerts                                   -> this chat's settings
+  // /alerts on|off <type|all> [value…]        -> e.g. /alerts on drawdown 0.15, /alerts on digest weekly 9
+  const [a, t, ...rest] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  const c = chatPrefs(ctx.chat.id);
+  if (a==='on' || a==='off') {
+    const types = t==='all' ? Object.keys(ALERT_TYPES) : [t];
+    if (!types.every(x=>ALERT_TYPES[x])) return ctx.reply(`Unknown alert type "${t}". Options: ${Object.keys(ALERT_TYPES).join(', ')}, all`);
+    if (a==='on' && t==='drawdown' && rest[0]!==undefined) {
+      const v = Number(rest[0]); if (!(v>0 && v<1)) return ctx.reply('Drawdown threshold is a fraction, e.g. 0.15'); c.drawdownPct = v; c.ddAlerted = false;
+    }
+    if (a==='on' && t==='stale' && rest[0]!==undefined) {
+      const v = Number(rest[0]); if (!(v>0)) return ctx.reply('Stale threshold is in minutes, e.g. 45'); c.staleMin = v;
+    }
+    if (a==='on' && t==='digest' && rest[0]!==undefined) {
+      if (!['daily','weekly'].includes(rest[0])) return ctx.reply('Usage: /alerts on digest daily|weekly [hour]');
+      const h = rest[1]===undefined ? c.digest.hour : Number(rest[1]);
+      if (!(Number.isInteger(h) && h>=0 && h<24)) return ctx.reply('Digest hour is 0-23');
+      c.digest = { ...c.digest, every:rest[0], hour:h };
+    }
+    c.on = a==='on' ? [...new Set([...c.on, ...types])] : c.on.filter(x=>!types.includes(x));
+    saveAlerts();
+  } else if (a) return ctx.reply('Usage: /alerts [on|off <type|all> [value]]');
+  else saveAlerts();
+  const lines = [`🔔 Alerts for this chat`];
+  Object.entries(ALERT_TYPES).forEach(([k, desc])=>{
+    const v = k==='drawdown' ? ` @ ${c.drawdownPct}` : k==='stale' ? ` @ ${c.staleMin} min` : k==='digest' ? ` ${c.digest.every} at ${c.digest.hour}:00` : '';
+    lines.push(`${c.on.includes(k)?'✅':'▫️'} ${k}${v} — ${desc}`);
+  });
+  return ctx.reply(lines.join('\n'));
+});
+
+bot.command('digest', async ctx => {
+  // /digest [daily|weekly] — the digest on demand
+  const every = ctx.message.text.split(' ')[1]==='weekly' ? 'weekly' : 'daily';
+  return ctx.reply(await digestText(every, ctx.state.account));
+});
+
+bot.command('report', async ctx => {
+  // /report [days] — compact /analytics: returns, drawdown, breakdowns and calibration (all history by default)
+  const days = Number(ctx.message.text.split(' ')[1]);
+  const q = days>0 ? `?since=${encodeURIComponent(new Date(Date.now()-days*86400000).toISOString())}` : '';
+  const a = await get(`/analytics${q}`, ctx.state.account);
+  if (a.error) return ctx.reply(`❌ ${a.error}`);
+  if (!a.bets) return ctx.reply('No settled bets in that range.');
+  const p = (x)=>`${(x*100).toFixed(1)}%`, sg = (x)=>`${x>0?'+':''}${fmt(x)}`;
+  const row = (r)=>`${r.key} ${sg(r.pnl)} (${r.bets}, ${p(r.yield)})`;
+  const eq = a.equity.map(e=>e.bankroll), step = Math.max(1, Math.ceil(eq.length/24)), pts = eq.filter((_,i)=>i%step===0 || i===eq.length-1);
+  const lo = Math.min(...pts), hi = Math.max(...pts);
+  const spark = pts.map(x=>'▁▂▃▄▅▆▇█'[hi>lo ? Math.round((x-lo)/(hi-lo)*7) : 3]).join('');
+  const d = a.drawdown, dur = d.maxDuration;
+  const lines = [
+    `📈 Report [${ctx.state.account||DEFAULT_ACCOUNT}] — ${a.bets} bets since ${a.since.slice(0,10)}`,
+    `${fmt(a.start)} → ${fmt(a.end)}  ${spark}`,
+    `PnL ${sg(a.pnl)}  ROI ${p(a.roi)}  yield ${p(a.yield)}  wins ${p(a.winRate)}${a.fees?`  fees ${fmt(a.fees)}`:''}`,
+    `Max DD ${p(d.max)}${dur?`, longest ${dur.days}d / ${dur.bets} bets${dur.recovered?'':' (ongoing)'}`:''}  |  now ${p(d.current)}`,
+    `By category: ${a.byCategory.slice(0,4).map(row).join(' · ')}`,
+    `By odds: ${a.byOdds.map(row).join(' · ')}`,
+    `By side: ${a.bySide.map(row).join(' · ')}`,
+    `Calibration (implied → won): ${a.calibration.map(c=>`${c.bucket} ${p(c.implied)}→${p(c.realized)} n${c.bets}`).join(' · ')}`
+  ];
+  return ctx.reply(lines.join('\n'));
+});
 
 // errors
 bot.catch(err => console.error('[bot] error:', err));
-bot.launch().then(()=>console.log('[bot] launched'));
\ No newline at end of file
+bot.launch().then(()=>console.log('[bot] launched'));
+listen();
+setInterval(()=>{ checkStale().catch(e=>console.error('[bot] stale check', e.message)); checkDigests().catch(e=>console.error('[bot] digest', e.message)); }, CHECK_MS);
\ No newline at end of file
@@ -0,0 +1,52 @@
+// analytics.test.js — summary, drawdowns and breakdowns over a fixed run of results (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { oddsBucket, drawdowns, analyze } = require('../analytics');
+
+// 100 → 110 (peak, 1 Mar) → 80 (3 Mar) → 114 (recovered 8 Mar) → 114 (void) → 99 → 99 (a 50/50), newest first
+const results = require(path.join(__dirname, 'fixtures', 'results.json'));
+const a = analyze({ bankroll: 99, results }, { markets: [] });
+const counts = (rows) => rows.map(r => [r.key, r.bets]);
+
+test('summary over the whole run', () => {
+  assert.deepEqual([a.since, a.until, a.start, a.end], ['2026-03-01T12:00:00.000Z', '2026-03-11T12:00:00.000Z', 100, 99]);
+  assert.deepEqual([a.bets, a.wins, a.losses, a.voids, a.splits], [8, 3, 3, 1, 1]);
+  assert.deepEqual([a.staked, a.pnl, a.roi, a.yield, a.winRate], [95, -1, -0.01, -0.0105, 0.5]); // the void's stake came back
+  assert.deepEqual(a.equity.map(e => e.bankroll), [100, 110, 100, 80, 92, 114, 114, 99, 99]);
+});
+
+test('deepest and current drawdown, and the longest spell under a peak', () => {
+  const d = a.drawdown;
+  assert.deepEqual([d.max, d.maxAt, d.current], [0.2727, '2026-03-03T12:00:00.000Z', 0.1316]);
+  assert.deepEqual(d.maxDuration, { days: 7, bets: 4, from: '2026-03-01T12:00:00.000Z', to: '2026-03-08T12:00:00.000Z', recovered: true });
+  assert.deepEqual(d.series.map(p => p.pct), [0, 0, 0.0909, 0.2727, 0.1636, 0, 0, 0.1316, 0.1316]);
+});
+
+test('a spell still under water at the end is reported unrecovered', () => {
+  const eq = [['2026-03-01', 100], ['2026-03-02', 120], ['2026-03-03', 110], ['2026-03-09', 105]].map(([d, bankroll]) => ({ ts: `${d}T00:00:00.000Z`, bankroll }));
+  const d = drawdowns(eq);
+  assert.deepEqual(d.maxDuration, { days: 7, bets: 2, from: '2026-03-02T00:00:00.000Z', to: '2026-03-09T00:00:00.000Z', recovered: false });
+  assert.equal(d.current, 0.125);
+  assert.deepEqual(drawdowns([]), { series: [], max: 0, maxAt: null, maxDuration: null, current: 0 });
+});
+
+test('bucket counts by odds, category, side and implied probability', () => {
+  assert.deepEqual(counts(a.byOdds), [['1-1.5', 1], ['1.5-2', 2], ['2-2.5', 3], ['2.5-3', 1], ['3-5', 1]]);
+  assert.deepEqual(counts(a.byCategory), [['Sports', 4], ['Politics', 2], ['Other', 1], ['unlinked', 1]]);
+  assert.deepEqual(counts(a.bySide), [['YES', 4], ['NO', 3], ['unlinked', 1]]);
+  assert.deepEqual(a.byCategory[0], { key: 'Sports', bets: 4, wins: 2, losses: 2, voids: 0, splits: 0, staked: 50, pnl: 2, fees: 0,
+                                      roi: 0.02, yield: 0.04, winRate: 0.5 });
+  // W/L only: the void and the 50/50 are no calibration samples
+  assert.deepEqual(a.calibration.map(c => [c.bucket, c.bets, c.realized]), [['30-40%', 1, 1], ['40-50%', 1, 0], ['50-60%', 2, 0.5], ['60-70%', 1, 1], ['70-80%', 1, 0]]);
+  assert.deepEqual([oddsBucket(1.01), oddsBucket(2), oddsBucket(7)], ['1-1.5', '2-2.5', '5+']);
+});
+
+test('since / until narrow the run and restart the curve', () => {
+  const r = analyze({ bankroll: 99, results }, { since: '2026-03-08T00:00:00Z', markets: [] });
+  assert.deepEqual([r.start, r.bets, r.pnl, r.drawdown.max, r.drawdown.maxDuration.recovered], [92, 4, 7, 0.1316, false]);
+  assert.deepEqual(analyze({ bankroll: 99, results }, { since: 'soon', markets: [] }), { error: 'since/until must be ISO dates' });
+  const none = analyze({ bankroll: 99, results }, { until: '2026-02-01T00:00:00Z', markets: [] });
+  assert.deepEqual([none.bets, none.start, none.end, none.equity], [0, 99, 99, []]);
+});
@@ -0,0 +1,69 @@
+// auth.test.js — token scopes per method and the CORS allow-list (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AUTH_ENV = ['BETD_ADMIN_TOKEN', 'BETD_READ_TOKEN', 'BETD_CORS_ORIGINS'];
+
+// auth.js reads its settings once at load: load a fresh copy under `env`
+function withEnv(env) {
+  const saved = Object.fromEntries(AUTH_ENV.map(k => [k, process.env[k]]));
+  for (const k of AUTH_ENV) if (env[k] === undefined) delete process.env[k]; else process.env[k] = env[k];
+  try {
+    delete require.cache[require.resolve('../auth')];
+    return require('../auth');
+  } finally {
+    for (const k of AUTH_ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k];
+  }
+}
+const req = (method, { token, origin, from = '127.0.0.1' } = {}) =>
+  ({ method, headers: { ...(token && { authorization: `Bearer ${token}` }), ...(origin && { origin }) }, socket: { remoteAddress: from } });
+const url = (p) => new URL(p, 'http://betd.local');
+
+test('with tokens set, reads need read or admin and writes need admin', () => {
+  const { authorize, scopeOf } = withEnv({ BETD_ADMIN_TOKEN: 'adm1, adm2', BETD_READ_TOKEN: 'rd' });
+  const status = (method, opts, p = '/status') => { const a = authorize(req(method, opts), url(p)); return a.error ? a.status : a.scope; };
+
+  assert.equal(status('GET', { token: 'rd' }), 'read');
+  assert.equal(status('GET', { token: 'adm2' }), 'admin');
+  assert.equal(status('GET', {}), 401);
+  assert.equal(status('GET', { token: 'rdx' }), 401);
+  assert.equal(status('POST', { token: 'adm1' }, '/execute'), 'admin');
+  assert.equal(status('DELETE', { token: 'adm1' }, '/model/override/36'), 'admin');
+  assert.equal(status('POST', { token: 'rd' }, '/execute'), 403);
+  assert.equal(status('POST', {}, '/execute'), 401, 'loopback is not enough once an admin token is set');
+  assert.match(authorize(req('POST', { token: 'rd' }), url('/execute')).error, /read-only/);
+
+  assert.equal(status('GET', {}, '/ui'), 'public');
+  assert.equal(status('GET', {}, '/health'), 'public');
+  assert.equal(status('OPTIONS', {}, '/execute'), 'public');
+  assert.equal(scopeOf(req('GET'), url('/events?token=rd')), 'read', 'EventSource passes the token in the query');
+  assert.equal(scopeOf(req('GET', { token: 'adm' }), url('/status')), null, 'no prefix matches');
+});
+
+test('without tokens, reads are open and writes only come from loopback', () => {
+  const { authorize } = withEnv({});
+  assert.deepEqual(authorize(req('GET', { from: '10.0.0.7' }), url('/status')), { scope: 'public' });
+  for (const from of ['127.0.0.1', '::1', '::ffff:127.0.0.1']) assert.deepEqual(authorize(req('POST', { from }), url('/execute')), { scope: 'local' }, from);
+  const lan = authorize(req('POST', { from: '10.0.0.7' }), url('/execute'));
+  assert.deepEqual([lan.status, lan.error], [401, 'Writes are only accepted from localhost until BETD_ADMIN_TOKEN is set']);
+});
+
+test('CORS headers go only to allowed origins', () => {
+  const { corsHeaders } = withEnv({ BETD_CORS_ORIGINS: 'https://a.example, https://b.example' });
+  const h = corsHeaders(req('GET', { origin: 'https://b.example' }));
+  assert.equal(h['Access-Control-Allow-Origin'], 'https://b.example');
+  assert.equal(h.Vary, 'Origin');
+  assert.match(h['Access-Control-Allow-Headers'], /Authorization/);
+  assert.deepEqual(corsHeaders(req('GET', { origin: 'https://evil.example' })), {});
+  assert.deepEqual(corsHeaders(req('GET')), {}, 'same-origin requests carry no Origin');
+
+  assert.equal(withEnv({ BETD_CORS_ORIGINS: '*' }).corsHeaders(req('GET', { origin: 'https://any.example' }))['Access-Control-Allow-Origin'], '*');
+  assert.deepEqual(withEnv({}).corsHeaders(req('GET', { origin: 'https://a.example' })), {}, 'unset: same-origin only');
+});
+
+test('the startup line reflects the configuration', () => {
+  assert.equal(withEnv({}).describeAuth(), 'auth: admin localhost only, read open, CORS same-origin');
+  assert.equal(withEnv({ BETD_ADMIN_TOKEN: 'a,b', BETD_READ_TOKEN: 'r', BETD_CORS_ORIGINS: '*' }).describeAuth(),
+               'auth: admin 2 token(s), read 1 token(s), CORS *');
+});
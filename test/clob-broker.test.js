@@ -0,0 +1,139 @@
+// clob-broker.test.js — ClobBroker and betd BROKER=clob against clob-mock.js on a free port (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ClobBroker, mapStatus } = require('../clob-broker');
+
+const ROOT = path.join(__dirname, '..');
+const gamma = require(path.join(__dirname, 'fixtures', 'gamma-markets.json'));
+const CREDS = { CLOB_API_KEY: 'k', CLOB_SECRET: 'c2VjcmV0', CLOB_PASSPHRASE: 'p', CLOB_ADDRESS: '0xabc' };
+const DEPTH = 5; // shares the mock fills per order
+
+// start `node <script>` and resolve once a stdout line matches `ready`
+function start(script, env, ready, cwd = ROOT) {
+  const child = spawn(process.execPath, [script], { cwd, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+  let out = '';
+  const up = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${script} did not start:\n${out}`)), 10000);
+    const scan = (c) => { out += c; const m = ready.exec(out); if (m) { clearTimeout(timer); resolve(m); } };
+    child.stdout.on('data', scan); child.stderr.on('data', scan);
+    child.once('exit', code => { clearTimeout(timer); reject(new Error(`${script} exited (${code}):\n${out}`)); });
+  });
+  return { child, up };
+}
+function stop(child) {
+  if (!child || child.exitCode !== null) return;
+  return new Promise(resolve => { child.once('exit', resolve); child.kill(); });
+}
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => { const { port } = s.address(); s.close(() => resolve(port)); });
+  });
+}
+
+let mock, host;
+test.before(async () => {
+  const m = start('clob-mock.js', { CLOB_MOCK_PORT: '0', MOCK_DEPTH: String(DEPTH), MOCK_BALANCE: '1000', CLOB_SECRET: CREDS.CLOB_SECRET },
+                  /listening on (http:\/\/localhost:\d+)/);
+  mock = m.child;
+  host = (await m.up)[1];
+});
+test.after(() => stop(mock));
+
+const broker = (opts = {}) => new ClobBroker({ host, apiKey: CREDS.CLOB_API_KEY, secret: CREDS.CLOB_SECRET, passphrase: CREDS.CLOB_PASSPHRASE,
+                                               address: CREDS.CLOB_ADDRESS, fillWaitMs: 300, ...opts });
+
+test('mapStatus covers every CLOB order state', () => {
+  const o = (status, size_matched, original_size = '10') => ({ status, size_matched, original_size });
+  assert.equal(mapStatus(o('LIVE', '0')), 'OPEN');
+  assert.equal(mapStatus(o('LIVE', '4')), 'PARTIAL');
+  assert.equal(mapStatus(o('MATCHED', '10')), 'FILLED');
+  assert.equal(mapStatus(o('LIVE', '10')), 'FILLED');
+  assert.equal(mapStatus(o('CANCELED', '0')), 'CANCELLED');
+  assert.equal(mapStatus(o('CANCELLED', '3')), 'PARTIAL');
+  assert.equal(mapStatus(o('UNMATCHED', '0')), 'REJECTED');
+  assert.equal(mapStatus({}), 'OPEN');
+});
+
+test('a GTC order within depth fills and cannot be cancelled', async () => {
+  const b = broker();
+  const o = await b.placeBet({ marketId: 'm1', tokenId: '301', outcome: 'Yes', side: 'YES', price: 0.5, stake: 2 });
+  assert.equal(o.status, 'FILLED');
+  assert.deepEqual([o.shares, o.filledStake, o.avgPrice, o.marketId, o.outcome], [4, 2, 0.5, 'm1', 'Yes']);
+  assert.equal((await b.cancel(o.id)).status, 'FILLED');
+});
+
+test('a GTC order deeper than the book fills partly and the remainder is cancelled', async () => {
+  const b = broker();
+  const o = await b.placeBet({ marketId: 'm1', tokenId: '301', outcome: 'Yes', side: 'YES', price: 0.5, stake: 10 });
+  assert.equal(o.status, 'PARTIAL');
+  assert.deepEqual([o.shares, o.filledStake, o.stake], [DEPTH, 2.5, 10]);
+  const listed = (await b.listOrders()).find(x => x.id === o.id);
+  assert.equal(listed.status, 'PARTIAL', 'the mock holds it as CANCELED with a partial match');
+  assert.equal((await b.cancel(o.id)).shares, DEPTH, 'a second cancel changes nothing');
+});
+
+test('an unmatched GTC order is polled until the wait runs out, then cancelled', async (t) => {
+  const empty = start('clob-mock.js', { CLOB_MOCK_PORT: '0', MOCK_DEPTH: '0' }, /listening on (http:\/\/localhost:\d+)/);
+  t.after(() => stop(empty.child));
+  const b = broker({ host: (await empty.up)[1] });
+  const t0 = Date.now();
+  const o = await b.placeBet({ tokenId: '301', side: 'YES', price: 0.5, stake: 2 });
+  assert.ok(Date.now() - t0 >= b.fillWaitMs, 'waited out CLOB_FILL_WAIT_MS');
+  assert.deepEqual([o.status, o.shares, o.filledStake], ['CANCELLED', 0, 0]);
+});
+
+test('FOK orders fill fully or are rejected', async () => {
+  const b = broker({ orderType: 'FOK' });
+  assert.equal((await b.placeBet({ tokenId: '301', side: 'YES', price: 0.5, stake: 2 })).status, 'FILLED');
+  const miss = await b.placeBet({ tokenId: '301', side: 'YES', price: 0.5, stake: 10 });
+  assert.deepEqual([miss.status, miss.shares], ['REJECTED', 0]);
+});
+
+test('orders without a token or with a bad price never reach the exchange', async () => {
+  const b = broker();
+  assert.match((await b.placeBet({ price: 0.5, stake: 2 })).reason, /no CLOB token/);
+  assert.match((await b.placeBet({ tokenId: '301', price: 1, stake: 2 })).reason, /bad price/);
+  await assert.rejects(broker({ secret: 'b3RoZXI=' }).getBalance(), /401: bad signature/);
+});
+
+test('betd /execute books the filled part of a CLOB order', async (t) => {
+  // betd keeps its state, ledger and logs next to its sources: run a copy in a temp dir
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'betd-clob-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const f of fs.readdirSync(ROOT)) if (f.endsWith('.js') || f === 'dashboard.html') fs.copyFileSync(path.join(ROOT, f), path.join(dir, f));
+  fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(dir, 'node_modules'));
+  fs.writeFileSync(path.join(dir, 'markets.json'), JSON.stringify(gamma.filter(x => x.id === '36')));
+
+  const port = await freePort();
+  const env = { ...CREDS, BETD_PORT: String(port), BETD_HOST: '127.0.0.1', BROKER: 'clob', CLOB_HOST: host, CLOB_ORDER_TYPE: 'GTC',
+                CLOB_FILL_WAIT_MS: '300', BETD_ADMIN_TOKEN: '', BETD_READ_TOKEN: '', TELEGRAM_BOT_TOKEN: '' };
+  const betd = start('betd.js', env, new RegExp(`:${port}`), dir);
+  t.after(() => stop(betd.child));
+  await betd.up;
+
+  const call = async (method, route, body) => {
+    const r = await fetch(`http://127.0.0.1:${port}${route}`, { method, body: body && JSON.stringify(body) });
+    return { code: r.status, json: await r.json() };
+  };
+  assert.equal((await call('POST', '/model', { name: 'manual' })).code, 200);
+  assert.equal((await call('POST', '/model/override', { marketId: '36', prob: 0.8 })).code, 200);
+  const plan = await call('POST', '/plan', { marketId: '36' });
+  assert.equal(plan.code, 200, JSON.stringify(plan.json));
+
+  const ex = await call('POST', '/execute');
+  assert.equal(ex.code, 200, JSON.stringify(ex.json));
+  const { positions } = (await call('GET', '/positions')).json;
+  assert.equal(positions.length, 1);
+  assert.equal(positions[0].marketId, '36');
+  assert.ok(positions[0].stake > 0 && positions[0].stake <= DEPTH * 0.63 + 0.01, `booked ${positions[0].stake}, only ${DEPTH} shares filled`);
+
+  const { broker: name, orders } = (await call('GET', '/orders')).json;
+  assert.equal(name, 'ClobBroker');
+  assert.ok(orders.some(o => o.status === 'PARTIAL' && o.shares === DEPTH));
+});
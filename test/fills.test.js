@@ -0,0 +1,86 @@
+// fills.test.js — book walking, the slippage cap and fee arithmetic over the committed CLOB book (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { normalizeMarket } = require('../market-schema');
+const { validateExecution, bookLevels, walkBook, stakeWithin, estimateFill, feeFor } = require('../fills');
+const { pnlOf } = require('../state');
+
+const clob = require(path.join(__dirname, 'fixtures', 'clob-markets.json'));
+const gamma = require(path.join(__dirname, 'fixtures', 'gamma-markets.json'));
+const book = normalizeMarket(clob.find(x => x.id === 'book-1')).market;
+const yes = { outcome: 'Yes', side: 'YES', price: 0.5 };
+const asks = bookLevels(book, yes); // 20 @ 0.50, 30 @ 0.52: 25.6 USD deep
+const exec = (o = {}) => ({ feeRate: 0, maxSlippage: 0.02, ...o });
+const near = (a, b, msg) => assert.ok(Math.abs(a - b) < 1e-9, `${msg || ''} ${a} != ${b}`);
+
+test('the ladder for each side of a binary book', () => {
+  assert.deepEqual(asks, [{ price: 0.5, size: 20 }, { price: 0.52, size: 30 }]);
+  // NO on Yes: the No outcome has no ladder, so Yes bids seen from the other side
+  assert.deepEqual(bookLevels(book, { outcome: 'Yes', side: 'NO', price: 0.55 }), [{ price: 0.55, size: 10 }, { price: 0.6, size: 50 }]);
+  // no ladder and no liquidity figure: bottomless at the quote
+  assert.equal(bookLevels(book, { outcome: 'No', side: 'YES', price: 0.55 }), null);
+});
+
+test('markets without a ladder get one from their liquidity', () => {
+  const m = normalizeMarket(gamma.find(x => x.id === '36')).market;
+  const levels = bookLevels(m, { outcome: 'Yes', side: 'YES', price: 0.63 });
+  assert.deepEqual(levels.map(l => l.price), [0.63, 0.64, 0.65, 0.66, 0.67]);
+  for (const l of levels) near(l.price * l.size, 1523.5 / 2 / 5, `level ${l.price}`);
+});
+
+test('walking the book fills cheapest first', () => {
+  assert.deepEqual(walkBook(asks, 5), { spent: 5, shares: 10, avgPrice: 0.5, worstPrice: 0.5, levels: 1 });
+  const two = walkBook(asks, 20);
+  near(two.shares, 20 + 10 / 0.52);
+  near(two.avgPrice, 20 / (20 + 10 / 0.52));
+  assert.deepEqual([two.spent, two.worstPrice, two.levels], [20, 0.52, 2]);
+  const all = walkBook(asks, 100);
+  near(all.spent, 25.6);
+  near(all.shares, 50);
+  assert.equal(walkBook(asks, 20, 0.51).spent, 10, 'levels above the limit are left alone');
+});
+
+test('the stake that keeps the average fill under a price', () => {
+  assert.equal(stakeWithin(asks, 0.5), 10);
+  near(stakeWithin(asks, 0.51), 10 + 20 * 0.52); // 40 shares for 20.4: average exactly 0.51
+  near(stakeWithin(asks, 0.6), 25.6);            // the whole book
+  assert.equal(stakeWithin(asks, 0.4), 0);
+});
+
+test('stakes beyond the max slippage are cut to the cap', () => {
+  const small = estimateFill(book, yes, 5, exec());
+  assert.deepEqual([small.stake, small.avgPrice, small.capped, small.impact], [5, 0.5, null, 0]);
+
+  const f = estimateFill(book, yes, 50, exec());
+  assert.deepEqual([f.requested, f.stake, f.avgPrice, f.worstPrice, f.levels, f.capped], [50, 20.4, 0.51, 0.52, 2, 'slippage']);
+  assert.equal(f.impact, 0.02);
+  assert.match(f.note, /capped 50→20.4 at 2% max slippage/);
+
+  const deep = estimateFill(book, yes, 50, exec({ maxSlippage: 0.1 }));
+  assert.deepEqual([deep.stake, deep.capped], [25.6, 'depth']);
+  assert.match(deep.note, /capped 50→25.6: book depth/);
+});
+
+test('taker fees are paid on top of the stake and priced into the odds', () => {
+  const f = estimateFill(book, yes, 10, exec({ feeRate: 0.02 }));
+  assert.deepEqual([f.stake, f.fee, f.feeRate, f.effPrice, f.odds], [10, 0.2, 0.02, 0.51, 1.961]);
+  assert.match(f.note, /fee 0.2 \(2%\)/);
+
+  const free = estimateFill({ ...book, feesEnabled: false }, yes, 10, exec({ feeRate: 0.02 }));
+  assert.deepEqual([free.fee, free.feeRate, free.effPrice, free.odds], [0, 0, 0.5, 2]);
+  assert.match(free.note, /no fee \(fees disabled on this market\)/);
+
+  assert.equal(feeFor(book, 12.34, 0.02), 0.25);
+  assert.equal(feeFor({ feesEnabled: false }, 12.34, 0.02), 0);
+  assert.deepEqual(validateExecution({}, { feeRate: 0.5 }), { error: 'feeRate must be within [0, 0.2]' });
+});
+
+test('the fee comes off the pnl whatever the result', () => {
+  assert.equal(pnlOf('W', 10, 2, 0.2), 9.8);
+  assert.equal(pnlOf('L', 10, 2, 0.2), -10.2);
+  assert.equal(pnlOf('V', 10, 2, 0.2), -0.2);
+  assert.equal(pnlOf('H', 10, 2, 0.2), -0.2);
+  assert.equal(pnlOf('W', 10, 1.961), 9.61);
+});
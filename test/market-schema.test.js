@@ -0,0 +1,104 @@
+// market-schema.test.js — normalization over committed Gamma / CLOB fixtures (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseList, normalizeMarket, normalizeBatch } = require('../market-schema');
+
+const gamma = require(path.join(__dirname, 'fixtures', 'gamma-markets.json'));
+const clob = require(path.join(__dirname, 'fixtures', 'clob-markets.json'));
+const norm = (raw) => normalizeMarket(raw).market;
+const byId = (id) => gamma.find(x => x.id === id);
+
+test('every record is accepted or rejected with reasons', () => {
+  const { markets, rejects } = normalizeBatch([...gamma, ...clob]);
+  assert.equal(markets.length + rejects.length, gamma.length + clob.length);
+  assert.equal(rejects.length, 0);
+});
+
+test('normalizing a canonical record is a no-op', () => {
+  for (const m of normalizeBatch([...gamma, ...clob]).markets) assert.deepEqual(norm(m), m, `market ${m.id}`);
+});
+
+test('stringified and decoded Gamma arrays give the same record', () => {
+  for (const x of gamma) {
+    const decoded = { ...x, outcomes: parseList(x.outcomes), outcomePrices: parseList(x.outcomePrices), clobTokenIds: parseList(x.clobTokenIds) };
+    assert.deepEqual(norm(decoded), norm(x), `market ${x.id}`);
+  }
+});
+
+test('prices, names and token ids match the raw Gamma fields', () => {
+  for (const x of gamma) {
+    const m = norm(x), prices = parseList(x.outcomePrices).map(Number);
+    assert.deepEqual(m.outcomes.map(o => o.lastPrice), prices, `market ${x.id}`);
+    assert.deepEqual(m.tokenIds, parseList(x.clobTokenIds).map(String), `market ${x.id}`);
+  }
+  assert.deepEqual(norm(byId('12')).outcomes.map(o => o.name), ['Yes', 'No']); // "[]" names on a binary
+  assert.deepEqual(norm(byId('900001')).outcomes.map(o => o.name), ['Reds', 'Blues', 'Draw']);
+});
+
+test('binary books mirror bid/ask onto the second outcome', () => {
+  const [yes, no] = norm(byId('36')).outcomes;
+  assert.deepEqual([yes.bestBid, yes.bestAsk], [0.61, 0.63]);
+  assert.equal(no.bestBid, 1 - 0.63);
+  assert.equal(no.bestAsk, 1 - 0.61);
+  const multi = norm(byId('900001')).outcomes;
+  assert.equal(multi[1].bestBid, null); // only the first outcome of a multi-outcome market has the book
+});
+
+test('resolutions agree with final prices', () => {
+  assert.deepEqual(norm(byId('19')).resolved, { winner: 'No' });
+  assert.equal(norm(byId('36')).resolved, null);
+  assert.equal(norm(byId('900001')).resolved, null);
+});
+
+test('only a winner or a true 50/50 settles a closed market', () => {
+  assert.equal(norm(byId('12')).resolved, null); // closed at ["0", "0"]: no result yet, not a refund
+  assert.deepEqual(norm(byId('900002')).resolved, { split: true });
+  const trading = { ...byId('19'), outcomePrices: '["0.99", "0.01"]' }; // closed, awaiting the final resolution
+  assert.equal(norm(trading).resolved, null);
+  const near = { ...byId('900002'), outcomePrices: '["0.505", "0.495"]' };
+  assert.equal(norm(near).resolved, null);
+  const thirds = { ...byId('900001'), closed: true, outcomePrices: '["0.3333", "0.3333", "0.3334"]' };
+  assert.equal(norm(thirds).resolved, null);
+  // canonical records written with the old void resolution are re-read
+  assert.equal(norm({ ...norm(byId('12')), resolved: { void: true } }).resolved, null);
+});
+
+test('CLOB token payloads normalize to the same outcomes and honour winner flags', () => {
+  const c = norm(clob[0]);
+  assert.equal(c.source, 'clob');
+  assert.deepEqual(c.outcomes.map(o => [o.name, o.tokenId, o.lastPrice]), [['Yes', '201', 1], ['No', '202', 0]]);
+  assert.deepEqual(c.resolved, { winner: 'Yes' });
+  for (const x of gamma) {
+    const m = norm(x);
+    const tokens = m.outcomes.map(o => ({ token_id: o.tokenId, outcome: o.name, price: o.lastPrice, winner: m.resolved?.winner === o.name }));
+    const n = norm({ condition_id: m.conditionId, question: m.question, closed: m.closed, active: m.active, tokens });
+    assert.deepEqual(n.outcomes.map(o => [o.name, o.tokenId, o.lastPrice]), m.outcomes.map(o => [o.name, o.tokenId, o.lastPrice]), `market ${x.id}`);
+  }
+});
+
+test('order book ladders are sorted, cleaned and kept', () => {
+  const m = norm(clob[1]), [y, n] = m.outcomes;
+  assert.equal(m.source, 'clob-book');
+  assert.deepEqual([y.bestBid, y.bestAsk], [0.45, 0.5]);
+  assert.deepEqual(y.asks, [{ price: 0.5, size: 20 }, { price: 0.52, size: 30 }]);
+  assert.deepEqual(y.bids, [{ price: 0.45, size: 10 }, { price: 0.4, size: 50 }]);
+  assert.ok(!('asks' in n), 'depth on a book without levels');
+});
+
+test('broken records are rejected with the right reason', () => {
+  const x = byId('36');
+  const cases = [
+    [{ ...x, id: undefined, conditionId: undefined }, 'missing id'],
+    [{ ...x, outcomePrices: '["0.5", ' }, 'unparseable outcomePrices'],
+    [{ ...x, outcomePrices: '["1.7", "0.3"]' }, 'outside [0,1]'],
+    [{ ...x, outcomes: '["A","B","C"]' }, 'outcome names for'],
+    [{ ...x, outcomePrices: '[]', outcomes: '[]' }, 'no outcomes'],
+    [{ ...x, outcomes: '["Yes","yes"]' }, 'duplicate outcome names'],
+    ['nope', 'not an object']
+  ];
+  for (const [rec, why] of cases) assert.ok(normalizeMarket(rec).reasons?.some(r => r.includes(why)), `expected "${why}"`);
+  const dup = normalizeBatch([x, x]).rejects;
+  assert.deepEqual(dup.map(r => r.reasons), [['duplicate id']]);
+});
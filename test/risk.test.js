@@ -0,0 +1,84 @@
+// risk.test.js — breaker thresholds, per-order limits and the breaker ack on a pinned clock (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LIMITS, validateLimits, riskUsage, checkBreakers, checkOrder, trip, acknowledge } = require('../risk');
+const { freshState } = require('../state');
+
+const NOW = '2026-03-10T12:00:00.000Z', YESTERDAY = '2026-03-09T12:00:00.000Z';
+const pin = (t) => t.mock.timers.enable({ apis: ['Date'], now: Date.parse(NOW) });
+const pos = (stake, openedAt = NOW) => ({ id: `pos_${Math.random()}`, stake, openedAt });
+const res = (result, stake, pnl, { settledAt = NOW, openedAt = YESTERDAY } = {}) => ({ id: `res_${Math.random()}`, result, stake, pnl, ts: settledAt, settledAt, openedAt });
+const codeOf = (s) => checkBreakers(s)?.code || null;
+
+test('drawdown trips at maxDrawdownPct from the high-water mark', (t) => {
+  pin(t);
+  assert.equal(codeOf(freshState({ bankroll: 85.01, highWater: 100 })), null);
+  const s = freshState({ bankroll: 85, highWater: 100 });
+  assert.deepEqual(checkBreakers(s), { code: 'max_drawdown', value: 0.15, limit: 0.15, message: 'Drawdown 15.0% from high-water 100 (limit 15.0%)' });
+  s.risk.limits.maxDrawdownPct = 0.2;
+  assert.equal(codeOf(s), null);
+});
+
+test('daily loss counts only results settled today against the start-of-day bankroll', (t) => {
+  pin(t);
+  assert.equal(codeOf(freshState({ bankroll: 90.01, highWater: 100, results: [res('L', 9.99, -9.99)] })), null);
+  const s = freshState({ bankroll: 90, highWater: 100, results: [res('L', 10, -10)] });
+  assert.equal(riskUsage(s).dailyLossPct, 0.1);
+  assert.equal(codeOf(s), 'max_daily_loss');
+  const old = freshState({ bankroll: 90, highWater: 100, results: [res('L', 10, -10, { settledAt: YESTERDAY })] });
+  assert.equal(codeOf(old), null);
+});
+
+test('daily exposure trips once today\'s stakes reach the cap; voids and older bets do not count', (t) => {
+  pin(t);
+  const s = freshState({ positions: [pos(10), pos(9.99), pos(50, YESTERDAY)], results: [res('V', 30, 0, { openedAt: NOW })] });
+  assert.equal(riskUsage(s).exposureToday, 19.99);
+  assert.equal(codeOf(s), null);
+  s.positions.push(pos(0.01));
+  assert.equal(codeOf(s), 'max_daily_exposure');
+});
+
+test('orders are refused past the open-position count or the exposure cap', (t) => {
+  pin(t);
+  const s = freshState({ positions: Array.from({ length: 9 }, () => pos(1, YESTERDAY)) });
+  assert.equal(checkOrder(s, 5), null);
+  s.positions.push(pos(1, YESTERDAY));
+  assert.deepEqual(checkOrder(s, 5), { code: 'max_open_positions', value: 10, limit: 10, message: '10 open positions (limit 10)' });
+
+  const e = freshState({ positions: [pos(15)] });
+  assert.equal(checkOrder(e, 5), null);
+  assert.equal(checkOrder(e, 5.01).code, 'max_daily_exposure');
+  assert.match(checkOrder(e, 5.01).message, /exposure to 20\.01 \(cap 20\.00\)/);
+});
+
+test('an ack clears the breaker and suppresses only that breaker until the next UTC day', (t) => {
+  pin(t);
+  const s = freshState({ bankroll: 80, highWater: 100 });
+  const b = trip(s, checkBreakers(s));
+  assert.deepEqual([b.code, s.paused, s.pauseReason], ['max_drawdown', true, 'Breaker: Drawdown 20.0% from high-water 100 (limit 15.0%)']);
+
+  assert.match(acknowledge(s, {}).error, /ack:true/);
+  assert.equal(s.risk.breaker.code, 'max_drawdown');
+  const { ok, ack } = acknowledge(s, { ack: true, by: 'ops', note: 'known' });
+  assert.deepEqual([ok, ack.code, ack.day, ack.by, s.risk.breaker], [true, 'max_drawdown', '2026-03-10', 'ops', null]);
+  assert.equal(codeOf(s), null, 'still 20% down, but acked today');
+
+  s.results.push(res('L', 15, -15)); // a different breaker is not covered by the ack
+  assert.equal(codeOf(s), 'max_daily_loss');
+  s.results = [];
+
+  t.mock.timers.tick(Date.parse('2026-03-10T23:59:59.999Z') - Date.parse(NOW));
+  assert.equal(codeOf(s), null);
+  t.mock.timers.tick(1); // 00:00 UTC
+  assert.equal(codeOf(s), 'max_drawdown');
+});
+
+test('limit overrides are range-checked against bounds every limit has', () => {
+  for (const [k, f] of Object.entries(LIMITS)) assert.ok(Number.isFinite(f.min) && Number.isFinite(f.max), k);
+  assert.deepEqual(validateLimits({}, { maxOpenPositions: 5000 }), { error: 'maxOpenPositions must be within [0, 1000]' });
+  assert.deepEqual(validateLimits({}, { maxOpenPositions: 2.5 }), { error: 'maxOpenPositions must be an integer' });
+  assert.deepEqual(validateLimits({}, { maxDrawdownPct: -0.1 }), { error: 'maxDrawdownPct must be within [0, 1]' });
+  assert.match(validateLimits({}, { nope: 1 }).error, /Unknown risk limit "nope"/);
+  assert.equal(validateLimits({}, { maxOpenPositions: 0 }).limits.maxOpenPositions, 0);
+});
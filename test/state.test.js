@@ -0,0 +1,145 @@
+// state.test.js — ledger replay, crash recovery, the writer lock and result corrections on temp state files (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { nowIso, freshState, openState, loadState, saveState, readLedger, replayLedger, checkState, correctResult, openPosition, bookResult } = require('../state');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poly-state-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let n = 0;
+const tmpState = () => path.join(dir, `state-${++n}.json`); // a new file per case: the module keeps one writer per file
+const ledgerOf = (file) => file.replace(/\.json$/, '.ledger.jsonl');
+
+// the crash cases work on a copy, which this process has never opened, so loadState() reads it from disk
+function copyOf(file) {
+  const to = tmpState();
+  for (const [a, b] of [[file, to], [`${file}.bak`, `${to}.bak`], [ledgerOf(file), ledgerOf(to)]]) if (fs.existsSync(a)) fs.copyFileSync(a, b);
+  return to;
+}
+const BOOK = ['bankroll', 'highWater', 'stats', 'positions', 'results', 'paused', 'pauseReason', 'ledgerSeq'];
+const book = (s) => Object.fromEntries(BOOK.map(k => [k, s[k]]));
+
+const bet = { marketId: '36', question: 'Q?', outcome: 'Yes', side: 'YES', price: 0.5, odds: 2, stake: 10, at: nowIso() };
+const order = (id) => ({ id, ts: nowIso(), status: 'FILLED', stake: 10, filledStake: 10 });
+
+// one save per kind of ledger event after the opening snapshot
+function history(file) {
+  const s = openState(file);
+  s.positions.push(openPosition(bet, order('o1'))); saveState(s);                      // open
+  s.positions.push(openPosition(bet, order('o2'))); saveState(s);                      // open
+  s.positions[1] = { ...s.positions[1], note: 'hedged' }; saveState(s);               // position
+  bookResult(s, s.positions[0], 'W', { odds: 2, stake: 10, settledBy: 'test', source: 'test' }); saveState(s); // result
+  s.positions = []; saveState(s);                                                      // close
+  s.paused = true; s.pauseReason = 'test'; saveState(s);                              // set
+  s.bankroll += 5; saveState(s);                                                       // adjust
+  return s;
+}
+
+test('a snapshot and the diff events after it replay to the saved state', () => {
+  const f = tmpState(), s = history(f);
+  const events = readLedger(f);
+  assert.deepEqual(events.map(e => e.type), ['snapshot', 'open', 'open', 'position', 'result', 'close', 'set', 'set', 'adjust']);
+  assert.deepEqual(events.map(e => e.seq), events.map((_, i) => i + 1));
+  assert.deepEqual(book(replayLedger(f)), book(s));
+  assert.deepEqual(book(JSON.parse(fs.readFileSync(f, 'utf8'))), book(s));
+  assert.equal(s.bankroll, 115);
+  assert.deepEqual(checkState(f), { ok: true, seq: events.length, diffs: [] });
+});
+
+test('a truncated state file is rebuilt from the ledger', () => {
+  const a = tmpState(), s = history(a), f = copyOf(a);
+  fs.truncateSync(f, Math.floor(fs.statSync(f).size / 2));
+  assert.deepEqual(book(loadState(f)), book(s));
+
+  const opened = openState(f); // the writer replaces the file and keeps the broken one aside
+  assert.deepEqual(book(opened), book(s));
+  assert.deepEqual(book(JSON.parse(fs.readFileSync(f, 'utf8'))), book(s));
+  assert.ok(fs.readdirSync(dir).some(x => x.startsWith(`${path.basename(f)}.corrupt-`)));
+  assert.ok(checkState(f).ok);
+});
+
+test('a truncated state file without a ledger falls back to .bak', () => {
+  const a = tmpState(), s = history(a), f = copyOf(a);
+  fs.rmSync(ledgerOf(f));
+  fs.writeFileSync(f, '{"bankroll": 1');
+  const got = loadState(f); // .bak is the save before the last: everything but the hand edit
+  assert.equal(got.bankroll, s.bankroll - 5);
+  assert.deepEqual([got.paused, got.stats.wins, got.results.length], [true, 1, 1]);
+});
+
+test('a torn last ledger line is dropped and cut before the next append', () => {
+  const a = tmpState(), s = history(a), f = copyOf(a), lf = ledgerOf(f);
+  const whole = readLedger(f).length;
+  fs.appendFileSync(lf, '{"seq":99,"ts":"2026-01-01T00:00:00.000Z","type":"res');
+  assert.equal(readLedger(f).length, whole);
+  assert.deepEqual(book(loadState(f)), book(s));
+
+  const w = openState(f);
+  w.paused = false; saveState(w);
+  const lines = fs.readFileSync(lf, 'utf8').split('\n');
+  assert.equal(lines.pop(), '', 'ends on a newline');
+  assert.deepEqual(lines.map(l => JSON.parse(l).seq), lines.map((_, i) => i + 1));
+  assert.ok(checkState(f).ok);
+
+  fs.writeFileSync(lf, fs.readFileSync(lf, 'utf8').replace('\n', '\n{"seq": \n')); // torn anywhere but the end is corruption
+  assert.throws(() => readLedger(f), /line 2/);
+});
+
+test('a second writer is refused while the lock holder lives and takes over once it is gone', async () => {
+  const f = tmpState();
+  const holder = spawn(process.execPath, ['-e', `require(${JSON.stringify(require.resolve('../state'))}).openState(${JSON.stringify(f)});
+    console.log('ready'); setInterval(() => {}, 1000);`], { stdio: ['ignore', 'pipe', 'inherit'] });
+  const exited = new Promise(resolve => holder.once('exit', resolve));
+  try {
+    await new Promise((resolve, reject) => { holder.stdout.once('data', resolve); holder.once('exit', () => reject(new Error('lock holder exited'))); });
+    assert.equal(JSON.parse(fs.readFileSync(`${f}.lock`, 'utf8')).pid, holder.pid);
+    assert.throws(() => openState(f), new RegExp(`locked by .*pid ${holder.pid}`));
+    assert.throws(() => saveState(loadState(f), f), /locked by/);
+  } finally { holder.kill(); await exited; }
+
+  // killed without its exit hook: the lock file is still there, naming a pid that is gone
+  assert.equal(JSON.parse(fs.readFileSync(`${f}.lock`, 'utf8')).pid, holder.pid);
+  const s = openState(f);
+  assert.equal(JSON.parse(fs.readFileSync(`${f}.lock`, 'utf8')).pid, process.pid);
+  s.paused = true; saveState(s);
+  assert.ok(checkState(f).ok);
+});
+
+test('amending and voiding results from before the last snapshot rebuilds the curve', () => {
+  const f = tmpState(), settle = (s, res, stake, odds) => bookResult(s, null, res, { odds, stake, settledBy: 'test', source: 'test' });
+  const old = freshState();
+  const r1 = settle(old, 'W', 10, 2), r2 = settle(old, 'L', 10, 2);  // 110, 100
+  fs.writeFileSync(f, JSON.stringify(old));                             // no ledger yet: opening it snapshots both
+  const s = openState(f);
+  const r3 = settle(s, 'W', 20, 1.5); saveState(s);                     // 110
+  const r4 = settle(s, 'L', 5, 2); saveState(s);                        // 105
+  assert.deepEqual(readLedger(f).map(e => e.type), ['snapshot', 'result', 'result']);
+  assert.deepEqual([s.bankroll, s.highWater], [105, 110]);
+  const after = () => Object.fromEntries(s.results.map(r => [r.id, r.bankrollAfter]));
+
+  assert.deepEqual(correctResult(s, r1.id, { result: 'L' }, { reason: '' }), { error: 'reason is required' });
+  const amended = correctResult(s, r1.id, { result: 'L' }, { by: 'test', reason: 'graded the wrong side' });
+  assert.deepEqual([amended.before.result, amended.after.result, amended.after.pnl], ['W', 'L', -10]);
+  assert.deepEqual([s.bankroll, s.highWater], [85, 100]); // the 110 peaks were both built on r1's win
+  assert.deepEqual(after(), { [r1.id]: 90, [r2.id]: 80, [r3.id]: 90, [r4.id]: 85 });
+
+  const voided = correctResult(s, r2.id, { result: 'V' }, { by: 'test', reason: 'market voided' });
+  assert.equal(voided.after.pnl, 0);
+  assert.deepEqual([s.bankroll, s.highWater], [95, 100]);
+  assert.deepEqual(after(), { [r1.id]: 90, [r2.id]: 90, [r3.id]: 100, [r4.id]: 95 });
+  assert.deepEqual(s.stats, { wins: 1, losses: 2, voids: 1, splits: 0 });
+
+  const undone = correctResult(s, r3.id, { undo: true }, { by: 'test', reason: 'duplicate' });
+  assert.equal(undone.after, null);
+  assert.deepEqual([s.bankroll, s.highWater, s.results.length], [85, 100, 3]);
+  assert.deepEqual(after(), { [r1.id]: 90, [r2.id]: 90, [r4.id]: 85 });
+  assert.deepEqual(correctResult(s, r3.id, { undo: true }, { reason: 'again' }), { error: `Unknown result "${r3.id}"` });
+
+  assert.deepEqual(readLedger(f).slice(3).map(e => [e.type, e.resultId]), [['amend', r1.id], ['amend', r2.id], ['undo', r3.id]]);
+  assert.deepEqual(book(replayLedger(f)), book(s));
+  assert.ok(checkState(f).ok);
+});